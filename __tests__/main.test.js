@@ -138,4 +138,1441 @@ describe('Riot API Helper Functions', () => {
       expect(result).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('getMatchesAfter', () => {
+    const matchIds = ['BR1_6', 'BR1_5', 'BR1_4', 'BR1_3', 'BR1_2', 'BR1_1'];
+
+    const mockMatches = (riotApi) => {
+      jest.spyOn(riotApi, 'getMatch').mockImplementation(async (matchId) => ({ matchId }));
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return every match newer than the last seen one, oldest first', async () => {
+      const { riotApi } = require('../main.js');
+      mockMatches(riotApi);
+
+      const result = await riotApi.getMatchesAfter('test-puuid', matchIds, 'BR1_3');
+
+      expect(result.map(m => m.matchId)).toEqual(['BR1_4', 'BR1_5', 'BR1_6']);
+    });
+
+    it('should return nothing when the last seen match is still the newest', async () => {
+      const { riotApi } = require('../main.js');
+      mockMatches(riotApi);
+
+      const result = await riotApi.getMatchesAfter('test-puuid', matchIds, 'BR1_6');
+
+      expect(result).toEqual([]);
+    });
+
+    it('should cap the backlog when the last seen match is out of range', async () => {
+      const { riotApi } = require('../main.js');
+      const config = require('../src/config');
+      mockMatches(riotApi);
+
+      const result = await riotApi.getMatchesAfter('test-puuid', matchIds, 'BR1_0');
+
+      expect(result).toHaveLength(config.matchHistory.maxNewMatches);
+      expect(result[result.length - 1].matchId).toBe('BR1_6');
+    });
+
+    it('should stop at the first match that fails to load', async () => {
+      const { riotApi } = require('../main.js');
+      jest.spyOn(riotApi, 'getMatch').mockImplementation(async (matchId) => {
+        if (matchId === 'BR1_5') throw new Error('Request timeout');
+        return { matchId };
+      });
+
+      const result = await riotApi.getMatchesAfter('test-puuid', matchIds, 'BR1_3');
+
+      expect(result.map(m => m.matchId)).toEqual(['BR1_4']);
+    });
+  });
+
+  describe('checkPlayer', () => {
+    const config = require('../src/config');
+    const MatchChecker = require('../src/services/MatchChecker');
+    const RiotApiService = require('../src/services/RiotApiService');
+
+    // A full lookback window, newest first: BR1_20 ... BR1_1
+    const matchIds = Array.from({ length: config.matchHistory.lookback }, (_, i) => `BR1_${config.matchHistory.lookback - i}`);
+
+    const checkFrom = async (cursor) => {
+      const riotApi = new RiotApiService();
+      jest.spyOn(riotApi, 'getMatchIds').mockResolvedValue(matchIds);
+      jest.spyOn(riotApi, 'getMatch').mockImplementation(async (matchId) => ({ matchId, queueId: 450, gameEndTimestamp: 0 }));
+      const database = {
+        getLastMatch: () => ({ match_id: cursor }),
+        setLastMatch: jest.fn(),
+        saveMatch: jest.fn(),
+        getMatchEndTime: () => null,
+        getCurrentStreak: () => null
+      };
+      const checker = new MatchChecker(database, riotApi, {});
+      const { results } = await checker.checkPlayer([{ puuid: 'test-puuid', platform: 'br1', guild_id: 'guild-1', queueIds: [450] }]);
+      return results.map(result => result.match.matchId);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should post every match since the last check in chronological order', async () => {
+      expect(await checkFrom('BR1_17')).toEqual(['BR1_18', 'BR1_19', 'BR1_20']);
+      expect(await checkFrom('BR1_20')).toEqual([]);
+    });
+
+    it('should post only the latest matches when the last one fell out of the lookback', async () => {
+      expect(await checkFrom('BR1_0')).toEqual(matchIds.slice(0, config.matchHistory.maxNewMatches).reverse());
+    });
+  });
+});
+
+describe('TrackCommand', () => {
+  const DatabaseManager = require('../src/database/DatabaseManager');
+  const TrackCommand = require('../src/commands/TrackCommand');
+  let database;
+  let riotApi;
+
+  // Interaction for one subcommand; replies are collected as embed JSON
+  const run = async (subcommand, options = {}) => {
+    const replies = [];
+    const interaction = {
+      guildId: 'guild-1',
+      guild: { name: 'Test Server' },
+      deferred: false,
+      options: {
+        getSubcommand: () => subcommand,
+        getString: name => options[name] || null,
+        getChannel: name => options[name] || null
+      },
+      deferReply: jest.fn(async () => { interaction.deferred = true; }),
+      reply: jest.fn(async ({ embeds }) => replies.push(embeds[0].toJSON())),
+      editReply: jest.fn(async ({ embeds }) => replies.push(embeds[0].toJSON()))
+    };
+    await new TrackCommand().execute(interaction, { database, riotApi });
+    return replies[0];
+  };
+
+  beforeEach(() => {
+    database = new DatabaseManager();
+    database.setGuildConfig('guild-1', 'channel-1');
+    riotApi = {
+      getPuuid: jest.fn(async gameName => (gameName === 'Unknown' ? null : `${gameName}-puuid`)),
+      getLastMatch: jest.fn(async puuid => ({
+        matchId: 'BR1_100', puuid, championName: 'Jinx', win: true,
+        gameMode: 'CLASSIC', queueId: 420, gameDuration: 1800, gameEndTimestamp: 1000, kills: 5, deaths: 2, assists: 3
+      }))
+    };
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should add a player and start from their latest match', async () => {
+    const reply = await run('add', { riot_id: 'Alpha#BR1', platform: 'na1' });
+
+    expect(reply.title).toBe('✅ Player Added!');
+    expect(database.getPlayer('guild-1', 'Alpha-puuid')).toMatchObject({ game_name: 'Alpha', tag_line: 'BR1', platform: 'na1' });
+    expect(database.getLastMatch('guild-1', 'Alpha-puuid').match_id).toBe('BR1_100');
+    expect(database.getMatchHistoryCount('Alpha-puuid')).toBe(1);
+    expect(riotApi.getLastMatch.mock.calls[0][2]).toBe('na1');
+  });
+
+  it('should reject players that are already tracked or not found', async () => {
+    await run('add', { riot_id: 'Alpha#BR1' });
+
+    expect((await run('add', { riot_id: 'Alpha#BR1' })).description).toContain('already tracked');
+    expect((await run('add', { riot_id: 'Unknown#BR1' })).description).toContain('Could not find');
+    expect((await run('add', { riot_id: 'NoTag' })).description).toContain('Invalid Riot ID');
+    expect(database.getGuildPlayerCount('guild-1')).toBe(1);
+  });
+
+  it('should remove a player and their match cursor', async () => {
+    await run('add', { riot_id: 'Alpha#BR1' });
+
+    expect((await run('remove', { riot_id: 'alpha#br1' })).title).toBe('✅ Player Removed!');
+    expect(database.getPlayer('guild-1', 'Alpha-puuid')).toBeUndefined();
+    expect(database.getLastMatch('guild-1', 'Alpha-puuid')).toBeUndefined();
+    expect((await run('remove', { riot_id: 'Alpha#BR1' })).description).toContain('not tracked');
+  });
+
+  it('should list tracked players', async () => {
+    expect((await run('list')).description).toBe('No players are currently being tracked.');
+
+    await run('add', { riot_id: 'Alpha#BR1' });
+    await run('add', { riot_id: 'Bravo#BR1' });
+    const reply = await run('list');
+
+    expect(reply.title).toBe('Tracked Players - Test Server');
+    expect(reply.description).toContain('1. **Alpha#BR1**');
+    expect(reply.description).toContain('2. **Bravo#BR1**');
+  });
+
+  it('should move match updates to another channel and keep the players', async () => {
+    await run('add', { riot_id: 'Alpha#BR1' });
+
+    const reply = await run('move', { channel: { id: 'channel-2', toString: () => '<#channel-2>' } });
+
+    expect(reply.description).toContain('<#channel-2>');
+    expect(database.getGuildConfig('guild-1').channel_id).toBe('channel-2');
+    expect(database.getGuildPlayerCount('guild-1')).toBe(1);
+  });
+});
+
+describe('SetupCommand', () => {
+  const DatabaseManager = require('../src/database/DatabaseManager');
+  const SetupCommand = require('../src/commands/SetupCommand');
+  let database;
+  let riotApi;
+
+  const run = async (options = {}) => {
+    const replies = [];
+    const interaction = {
+      guildId: 'guild-1',
+      deferred: false,
+      options: {
+        getString: name => options[name] || null,
+        getChannel: () => ({ id: 'channel-1', toString: () => '<#channel-1>' })
+      },
+      deferReply: jest.fn(async () => { interaction.deferred = true; }),
+      reply: jest.fn(async ({ embeds }) => replies.push(embeds[0].toJSON())),
+      editReply: jest.fn(async ({ embeds }) => replies.push(embeds[0].toJSON()))
+    };
+    await new SetupCommand().execute(interaction, { database, riotApi });
+    return replies[0];
+  };
+
+  beforeEach(() => {
+    database = new DatabaseManager();
+    riotApi = {
+      getPuuid: jest.fn(async gameName => `${gameName}-puuid`),
+      getLastMatch: jest.fn(async () => null)
+    };
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should keep the guild platform when re-run without one', async () => {
+    await run({ riot_ids: 'Alpha#NA1', platform: 'na1' });
+    const reply = await run({ riot_ids: 'Alpha#NA1,Bravo#NA1' });
+
+    expect(reply.title).toBe('✅ Configuration Saved!');
+    expect(database.getGuildConfig('guild-1').platform).toBe('na1');
+    expect(database.getPlayer('guild-1', 'Bravo-puuid').platform).toBe('na1');
+    expect(riotApi.getLastMatch.mock.calls.map(call => call[2])).toEqual(['na1', 'na1', 'na1']);
+  });
+
+  it('should clear the links, follows and routes of players left out of a re-run', async () => {
+    await run({ riot_ids: 'Alpha#BR1,Bravo#BR1' });
+    for (const puuid of ['Alpha-puuid', 'Bravo-puuid']) {
+      database.setMemberLink('guild-1', puuid, `${puuid}-user`, true);
+      database.addFollow('guild-1', puuid, 'follower');
+      database.setChannelRoute('guild-1', 'match', null, puuid, 'channel-2');
+    }
+
+    await run({ riot_ids: 'Bravo#BR1' });
+
+    expect(database.getMemberLink('guild-1', 'Alpha-puuid')).toBeUndefined();
+    expect(database.getFollowerIds('guild-1', 'Alpha-puuid')).toEqual([]);
+    expect(database.getChannelRoutes('guild-1').map(route => route.puuid)).toEqual(['Bravo-puuid']);
+    expect(database.getMemberLink('guild-1', 'Bravo-puuid').discord_user_id).toBe('Bravo-puuid-user');
+    expect(database.getFollowerIds('guild-1', 'Bravo-puuid')).toEqual(['follower']);
+  });
+});
+
+describe('Team match embeds', () => {
+  const EmbedUtils = require('../src/utils/EmbedBuilder');
+  const MatchChecker = require('../src/services/MatchChecker');
+
+  const match = (matchId, gameName, win, gameEndTimestamp = 1000) => ({
+    matchId, gameName, tagLine: 'BR1', win, gameEndTimestamp,
+    championName: 'Jinx', queueId: 420, gameMode: 'CLASSIC', gameDuration: 1800,
+    kills: 5, deaths: 2, assists: 3, totalDamageDealtToChampions: 20000
+  });
+
+  it('should show every tracked player in one embed', () => {
+    const embed = EmbedUtils.createTeamMatchEmbed([match('BR1_1', 'Alpha', true), match('BR1_1', 'Bravo', false)]).toJSON();
+
+    expect(embed.title).toBe('👥 2 tracked players in the same game');
+    expect(embed.fields.map(field => field.name)).toEqual(['Match ID', 'Alpha#BR1', 'Bravo#BR1']);
+    // Players on opposite teams get the mixed color
+    expect(embed.color).toBe(0xFFAA00);
+    expect(EmbedUtils.createTeamMatchEmbed([match('BR1_1', 'Alpha', true), match('BR1_1', 'Bravo', true)]).toJSON().color).toBe(0x00FF00);
+  });
+
+  it('should post one message per guild and match, oldest match first', async () => {
+    const database = { getGuildConfig: () => ({}), setLastMatch: jest.fn() };
+    const checker = new MatchChecker(database, {}, {});
+    checker.buildMatchMessage = jest.fn(async (guildId, guildConfig, puuids, embed) => ({ embeds: [embed] }));
+    checker.sendOrEditLiveMessage = jest.fn();
+    checker.sendFollowerDms = jest.fn();
+    checker.postHighlights = jest.fn();
+    checker.postStreakMilestones = jest.fn();
+    checker.liveGameTracker.markFinished = jest.fn();
+
+    const posted = await checker.postNewMatches([
+      { guildId: 'guild-1', puuid: 'a', match: match('BR1_2', 'Alpha', true, 2000) },
+      { guildId: 'guild-1', puuid: 'a', match: match('BR1_1', 'Alpha', true) },
+      { guildId: 'guild-1', puuid: 'b', match: match('BR1_1', 'Bravo', true) },
+      { guildId: 'guild-2', puuid: 'a', match: match('BR1_1', 'Alpha', true) }
+    ]);
+
+    expect(posted).toBe(3);
+    const posts = checker.sendOrEditLiveMessage.mock.calls.map(([guildId, first, puuids, message]) =>
+      [guildId, first.matchId, puuids, message.embeds[0].toJSON().title]);
+    expect(posts).toEqual([
+      ['guild-1', 'BR1_1', ['a', 'b'], '👥 2 tracked players in the same game'],
+      ['guild-2', 'BR1_1', ['a'], 'Alpha (Jinx)'],
+      ['guild-1', 'BR1_2', ['a'], 'Alpha (Jinx)']
+    ]);
+    expect(database.setLastMatch).toHaveBeenCalledWith('guild-1', 'b', 'BR1_1');
+  });
+});
+
+describe('Platform routing', () => {
+  const config = require('../src/config');
+  const RiotApiService = require('../src/services/RiotApiService');
+
+  it('should map platforms to their regional route', () => {
+    expect(config.getRegionalRoute('na1')).toBe('americas');
+    expect(config.getRegionalRoute('euw1')).toBe('europe');
+    expect(config.getRegionalRoute('kr')).toBe('asia');
+    expect(config.getRegionalRoute('oc1')).toBe('sea');
+    // Unknown platforms use the default platform's route
+    expect(config.getRegionalRoute('xx1')).toBe('americas');
+  });
+
+  it('should send match calls to the regional host and league calls to the platform host', async () => {
+    const riotApi = new RiotApiService();
+    const addRequest = jest.spyOn(riotApi.rateLimiter, 'addRequest').mockResolvedValue([]);
+
+    await riotApi.getMatchIds('puuid-1', 5, 1, 'kr');
+    await riotApi.getPlayerRanks('puuid-1', 1, 'euw1');
+    await riotApi.getPlayerRanks('puuid-1', 1);
+
+    // Each host gets its own rate limit buckets
+    expect(addRequest.mock.calls.map(([, options]) => options.host)).toEqual(['asia', 'euw1', 'br1']);
+    expect(addRequest.mock.calls[1][1].cacheKey).not.toBe(addRequest.mock.calls[2][1].cacheKey);
+  });
+});
+
+describe('Match history', () => {
+  const DatabaseManager = require('../src/database/DatabaseManager');
+  const HistoryCommand = require('../src/commands/HistoryCommand');
+  let database;
+
+  const game = (matchId, puuid, win, gameEndTimestamp) => ({
+    matchId, puuid, win, gameEndTimestamp,
+    championName: 'Jinx', gameMode: 'CLASSIC', queueId: 420, gameDuration: 1800, kills: 5, deaths: 2, assists: 3
+  });
+
+  beforeEach(() => {
+    database = new DatabaseManager();
+    database.setGuildConfig('guild-1', 'channel-1');
+    database.addPlayer('guild-1', 'Alpha', 'BR1', 'a');
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should store each match once per participant, newest first', () => {
+    database.saveMatch(game('BR1_1', 'a', true, 1000));
+    database.saveMatch(game('BR1_2', 'a', false, 2000));
+    database.saveMatch(game('BR1_2', 'b', true, 2000));
+    // Saving again (e.g. a retried post) doesn't duplicate the match
+    database.saveMatch(game('BR1_2', 'a', false, 2000));
+
+    expect(database.getMatchHistoryCount('a')).toBe(2);
+    expect(database.getMatchHistory('a').map(match => [match.match_id, match.win])).toEqual([['BR1_2', 0], ['BR1_1', 1]]);
+    expect(database.getMatchHistory('a', 1, 1).map(match => match.match_id)).toEqual(['BR1_1']);
+    expect(database.getMatchEndTime('BR1_2')).toBe(2000);
+    expect(database.getMatchEndTime('BR1_9')).toBeNull();
+  });
+
+  it('should page /history and clamp out of range pages', async () => {
+    for (let i = 1; i <= 12; i++) {
+      database.saveMatch(game(`BR1_${i}`, 'a', i % 2 === 0, i * 1000));
+    }
+    const staticData = { getChampionName: key => key };
+    const show = async (page) => {
+      const reply = jest.fn();
+      const interaction = {
+        guildId: 'guild-1',
+        options: { getString: () => 'Alpha#BR1', getInteger: () => page },
+        reply
+      };
+      await new HistoryCommand().execute(interaction, { database, riotApi: { staticData } });
+      return reply.mock.calls[0][0].embeds[0].toJSON();
+    };
+
+    const firstPage = await show(null);
+    expect(firstPage.description.split('\n')).toHaveLength(10);
+    expect(firstPage.footer.text).toBe('Page 1/2 • 12 matches stored');
+
+    const lastPage = await show(5);
+    expect(lastPage.description.split('\n')).toHaveLength(2);
+    expect(lastPage.footer.text).toBe('Page 2/2 • 12 matches stored');
+  });
+});
+
+describe('Player stats', () => {
+  const DatabaseManager = require('../src/database/DatabaseManager');
+  const EmbedUtils = require('../src/utils/EmbedBuilder');
+  let database;
+
+  const game = (matchId, championName, win, gameEndTimestamp, kills, deaths, assists, totalDamageDealtToChampions) => ({
+    matchId, puuid: 'a', championName, win, gameEndTimestamp, kills, deaths, assists, totalDamageDealtToChampions,
+    gameMode: 'CLASSIC', queueId: 420, gameDuration: 1200
+  });
+
+  beforeEach(() => {
+    database = new DatabaseManager();
+    database.saveMatch(game('BR1_1', 'Jinx', true, 1000, 10, 2, 5, 24000));
+    database.saveMatch(game('BR1_2', 'Jinx', false, 2000, 2, 6, 4, 12000));
+    database.saveMatch(game('BR1_3', 'Ahri', true, 3000, 6, 0, 9, 36000));
+  });
+
+  afterEach(() => {
+    database.close();
+  });
+
+  it('should aggregate games, KDA and damage per minute', () => {
+    expect(database.getPlayerStats('a')).toEqual({
+      games: 3, wins: 2, kills: 18, deaths: 8, assists: 18,
+      // 72000 damage over 60 minutes
+      damage_per_minute: 1200
+    });
+    expect(database.getPlayerStats('a', 2000)).toMatchObject({ games: 2, wins: 1 });
+    expect(database.getPlayerStats('nobody')).toMatchObject({ games: 0, wins: 0, damage_per_minute: 0 });
+  });
+
+  it('should rank champions by games played', () => {
+    expect(database.getTopChampions('a')).toEqual([
+      { champion_name: 'Jinx', games: 2, wins: 1, kills: 12, deaths: 8, assists: 9 },
+      { champion_name: 'Ahri', games: 1, wins: 1, kills: 6, deaths: 0, assists: 9 }
+    ]);
+    expect(database.getTopChampions('a', 0, 1)).toHaveLength(1);
+  });
+
+  it('should summarize the aggregates in the stats embed', () => {
+    const embed = EmbedUtils.createStatsEmbed(
+      'Alpha#BR1', database.getPlayerStats('a'), database.getTopChampions('a'), database.getCurrentStreak('a'), 'All Time'
+    ).toJSON();
+    const field = name => embed.fields.find(f => f.name === name).value;
+
+    expect(field('Games')).toBe('3 (2W 1L)');
+    expect(field('Win Rate')).toBe('66.7%');
+    expect(field('Current Streak')).toBe('1 win 🔥');
+    expect(field('Damage/min')).toBe('1200');
+    expect(field('Most Played')).toContain('**Jinx** - 2 games, 50% WR');
+  });
+});
+
+describe('LeaderboardCommand', () => {
+  const LeaderboardCommand = require('../src/commands/LeaderboardCommand');
+
+  const row = (gameName, games, wins) => ({
+    puuid: gameName, game_name: gameName, tag_line: 'BR1', games, wins, kills: games * 5, deaths: games * 2, assists: games * 3, damage_per_minute: 600
+  });
+  const database = {
+    getGuildLeaderboard: jest.fn(() => [row('Alpha', 3, 2), row('Bravo', 2, 2), row('Charlie', 5, 3)])
+  };
+
+  const show = async (metric, period) => {
+    const reply = jest.fn();
+    const interaction = {
+      guildId: 'guild-1',
+      options: { getString: name => ({ metric, period })[name] || null },
+      reply
+    };
+    await new LeaderboardCommand().execute(interaction, { database });
+    return reply.mock.calls[0][0].embeds[0].toJSON();
+  };
+
+  it('should leave out players below the period\'s minimum games', async () => {
+    const week = await show('winrate');
+    expect(week.description.split('\n')).toEqual([
+      '🥇 **Alpha#BR1** - 66.7% (2W 1L)',
+      '🥈 **Charlie#BR1** - 60.0% (3W 2L)'
+    ]);
+    expect(week.footer.text).toBe('Last 7 days • Minimum 3 games in period');
+
+    const month = await show('winrate', 'month');
+    expect(month.description).toBe('🥇 **Charlie#BR1** - 60.0% (3W 2L)');
+    expect(month.footer.text).toBe('Last 30 days • Minimum 5 games in period');
+  });
+
+  it('should show an empty board when nobody reaches the minimum', async () => {
+    expect((await show('games', 'season')).description).toBe('Not enough data yet for this leaderboard.');
+  });
+
+  it('should rank LP only for players ranked in the period with enough games', async () => {
+    const rank = (gameName, leaguePoints, createdAt) => ({
+      puuid: gameName, game_name: gameName, tag_line: 'BR1', tier: 'GOLD', rank: 'II', league_points: leaguePoints, created_at: createdAt
+    });
+    // Charlie has the games but no rank recorded this week, Bravo is ranked but short of games
+    database.getGuildLatestRanks = () => [rank('Alpha', 40, Date.now()), rank('Bravo', 90, Date.now()), rank('Charlie', 80, 0)];
+    database.getRankSnapshotAt = puuid => (puuid === 'Alpha' ? rank('Alpha', 20, 0) : undefined);
+
+    const week = await show('lp');
+    expect(week.description).toBe('🥇 **Alpha#BR1** - Gold II 40 LP (+20 LP)');
+    expect(week.footer.text).toBe('Last 7 days • Based on ranks recorded after ranked games, minimum 3 games in period');
+  });
+});
+
+describe('Rank tracking', () => {
+  const RankUtils = require('../src/utils/RankUtils');
+  const RankTracker = require('../src/services/RankTracker');
+
+  const snapshot = (tier, rank, leaguePoints, miniSeries = null) => ({
+    tier, rank, league_points: leaguePoints, mini_series: miniSeries
+  });
+  const entry = (tier, rank, leaguePoints, miniSeries) => ({
+    tier, rank, leaguePoints, ...(miniSeries ? { miniSeries: { progress: miniSeries } } : {})
+  });
+
+  it('should score divisions 100 LP apart and apex tiers on one ladder', () => {
+    expect(RankUtils.toScore(entry('GOLD', 'I', 0)) - RankUtils.toScore(entry('GOLD', 'II', 0))).toBe(100);
+    expect(RankUtils.toScore(entry('GRANDMASTER', 'I', 500))).toBe(RankUtils.toScore(entry('MASTER', 'I', 500)));
+    expect(RankUtils.toScore(null)).toBeNull();
+  });
+
+  it('should detect promotions and demotions across divisions', () => {
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'II', 90), entry('GOLD', 'I', 5))).toEqual(['promotion']);
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'IV', 0), entry('SILVER', 'I', 75))).toEqual(['demotion']);
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'II', 10), entry('GOLD', 'II', 28))).toEqual([]);
+  });
+
+  it('should detect entering and losing a promo series', () => {
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'I', 90), entry('GOLD', 'I', 100, 'NNN'))).toEqual(['series_start']);
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'I', 100, 'WLN'), entry('GOLD', 'I', 70))).toEqual(['series_end']);
+    expect(RankTracker.detectEvents(snapshot('GOLD', 'I', 100, 'WWN'), entry('PLATINUM', 'IV', 0))).toEqual(['promotion']);
+  });
+
+  it('should not report events without a previous snapshot', () => {
+    expect(RankTracker.detectEvents(null, entry('GOLD', 'I', 5))).toEqual([]);
+  });
+});
+
+describe('LiveGameTracker', () => {
+  const config = require('../src/config');
+  const LiveGameTracker = require('../src/services/LiveGameTracker');
+  let database;
+  let riotApi;
+  let channel;
+  let tracker;
+
+  const player = (puuid, gameName) => ({ puuid, game_name: gameName, tag_line: 'BR1', platform: 'br1' });
+  const game = {
+    gameId: 123, platformId: 'BR1', gameQueueConfigId: 420, gameMode: 'CLASSIC',
+    participants: [{ puuid: 'a', championId: 222 }, { puuid: 'b', championId: 103 }, { puuid: 'stranger', championId: 1 }]
+  };
+
+  beforeEach(() => {
+    const liveGames = new Set();
+    database = {
+      getAllGuildConfigs: () => [
+        { guild_id: 'guild-1', channel_id: 'channel-1', queues: null },
+        { guild_id: 'guild-2', channel_id: 'channel-2', queues: null }
+      ],
+      getPlayers: guildId => (guildId === 'guild-1'
+        ? [player('a', 'Alpha'), player('b', 'Bravo'), player('c', 'Charlie')]
+        : [player('a', 'Alpha')]),
+      getLiveGame: (guildId, matchId) => liveGames.has(`${guildId}:${matchId}`),
+      saveLiveGame: jest.fn((guildId, matchId) => liveGames.add(`${guildId}:${matchId}`)),
+      deleteLiveGamesBefore: jest.fn(),
+      getLastPlayedAt: () => null
+    };
+    riotApi = {
+      getActiveGame: jest.fn(async puuid => (puuid === 'c' ? null : game)),
+      getChampionName: async championId => ({ 222: 'Jinx', 103: 'Ahri' })[championId]
+    };
+    channel = { send: jest.fn().mockResolvedValue({ id: 'message-1' }) };
+    const client = { channels: { fetch: jest.fn().mockResolvedValue(channel) } };
+    const router = { getChannelId: guildId => (guildId === 'guild-1' ? 'channel-1' : 'channel-2') };
+    tracker = new LiveGameTracker(database, riotApi, client, router);
+  });
+
+  it('should post one announcement per guild for tracked players in the same ranked game', async () => {
+    await tracker.checkLiveGames();
+
+    // Bravo is marked in game by Alpha's lookup, so the game is fetched once
+    expect(riotApi.getActiveGame.mock.calls.map(([puuid]) => puuid)).toEqual(['a', 'c']);
+    expect(channel.send).toHaveBeenCalledTimes(2);
+    const lines = channel.send.mock.calls[0][0].embeds[0].toJSON().description.split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatch(/^\*\*Alpha#BR1\*\* just started .* as \*\*Jinx\*\*$/);
+    expect(lines[1]).toMatch(/^\*\*Bravo#BR1\*\* just started .* as \*\*Ahri\*\*$/);
+    expect(database.saveLiveGame).toHaveBeenCalledWith('guild-1', 'BR1_123', 'channel-1', 'message-1');
+    expect(database.saveLiveGame).toHaveBeenCalledWith('guild-2', 'BR1_123', 'channel-2', 'message-1');
+    expect(tracker.inGame.has('a') && tracker.inGame.has('b')).toBe(true);
+    expect(tracker.inGame.has('c')).toBe(false);
+  });
+
+  it('should not announce unranked games but still mark the players in game', async () => {
+    riotApi.getActiveGame.mockImplementation(async puuid => (puuid === 'c' ? null : { ...game, gameQueueConfigId: 450 }));
+
+    await tracker.checkLiveGames();
+
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(tracker.inGame.has('a') && tracker.inGame.has('b')).toBe(true);
+  });
+
+  it('should not announce unranked games in guilds that post that queue', async () => {
+    database.getAllGuildConfigs = () => [{ guild_id: 'guild-1', channel_id: 'channel-1', queues: 'ranked_solo,aram' }];
+    riotApi.getActiveGame.mockImplementation(async puuid => (puuid === 'c' ? null : { ...game, gameQueueConfigId: 450 }));
+
+    await tracker.checkLiveGames();
+
+    expect(channel.send).not.toHaveBeenCalled();
+    expect(tracker.inGame.has('a')).toBe(true);
+  });
+
+  it('should not announce the same game twice', async () => {
+    await tracker.checkLiveGames();
+    await tracker.handleGame(game, tracker.getTrackedPlayers());
+
+    expect(channel.send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should poll again once a game finishes or goes stale', async () => {
+    await tracker.checkLiveGames();
+    tracker.markFinished('a');
+    expect(tracker.inGame.has('a')).toBe(false);
+
+    const now = Date.now() + config.liveGames.maxGameLength + 1;
+    tracker.expireStaleGames(now);
+    expect(tracker.inGame.has('b')).toBe(false);
+    expect(database.deleteLiveGamesBefore).toHaveBeenLastCalledWith(now - config.liveGames.maxGameLength);
+  });
+});
+
+describe('MatchMapper', () => {
+  const MatchMapper = require('../src/utils/MatchMapper');
+
+  const participant = (puuid, teamId, kills, extra = {}) => ({
+    puuid,
+    teamId,
+    kills,
+    deaths: 2,
+    assists: 4,
+    championName: 'Ahri',
+    totalMinionsKilled: 180,
+    neutralMinionsKilled: 20,
+    item0: 3020,
+    item1: 0,
+    item6: 3340,
+    summoner1Id: 4,
+    summoner2Id: 14,
+    perks: { styles: [{ style: 8100, selections: [{ perk: 8112 }] }, { style: 8300 }] },
+    ...extra
+  });
+
+  const matchData = {
+    info: {
+      gameDuration: 1800,
+      queueId: 420,
+      participants: [
+        participant('player', 100, 6),
+        participant('ally', 100, 4),
+        participant('enemy', 200, 9)
+      ]
+    }
+  };
+
+  it('should derive CS per minute, kill participation, items, runes and spells', () => {
+    const match = MatchMapper.toPlayerMatch('BR1_1', matchData, 'player');
+
+    expect(match.cs).toBe(200);
+    expect(match.csPerMinute).toBeCloseTo(6.67, 2);
+    expect(match.killParticipation).toBe(1);
+    expect(match.items).toEqual([3020, 3340]);
+    expect(match.keystoneId).toBe(8112);
+    expect(match.secondaryStyleId).toBe(8300);
+    expect(match.summonerSpellIds).toEqual([4, 14]);
+  });
+
+  it('should return null when the player is not in the match', () => {
+    expect(MatchMapper.toPlayerMatch('BR1_1', matchData, 'someone-else')).toBeNull();
+  });
+
+  it('should find the lane opponent and the Arena partner', () => {
+    const laneData = {
+      info: {
+        gameDuration: 1800,
+        participants: [
+          participant('player', 100, 6, { teamPosition: 'MIDDLE' }),
+          participant('ally', 100, 4, { teamPosition: 'TOP' }),
+          participant('enemy', 200, 9, { teamPosition: 'MIDDLE', championName: 'Zed' })
+        ]
+      }
+    };
+    const arenaData = {
+      info: {
+        gameDuration: 1200,
+        participants: [
+          participant('player', 100, 6, { playerSubteamId: 3, placement: 2, playerAugment1: 205 }),
+          participant('duo', 100, 4, { playerSubteamId: 3, championName: 'Leona' }),
+          participant('enemy', 200, 9, { playerSubteamId: 5 })
+        ]
+      }
+    };
+
+    const laneMatch = MatchMapper.toPlayerMatch('BR1_1', laneData, 'player');
+    expect(laneMatch.laneOpponent.championName).toBe('Zed');
+    expect(laneMatch.laneOpponent.cs).toBe(200);
+    expect(laneMatch.teams.map(team => team.players.map(p => p.puuid))).toEqual([['ally', 'player'], ['enemy']]);
+    const arenaMatch = MatchMapper.toPlayerMatch('BR1_2', arenaData, 'player');
+    expect(arenaMatch.partner.championName).toBe('Leona');
+    expect(arenaMatch.placement).toBe(2);
+    expect(arenaMatch.augments).toEqual([205]);
+    expect(arenaMatch.laneOpponent).toBeNull();
+  });
+});
+
+describe('MatchLayouts', () => {
+  const MatchLayouts = require('../src/utils/MatchLayouts');
+
+  it('should report Arena games by placement', () => {
+    const layout = MatchLayouts.forQueue(1700);
+
+    expect(layout.getResult({ placement: 2, win: true })).toBe('🥈 2nd place');
+    expect(layout.getResult({ placement: 6, win: false })).toBe('6th place');
+    expect(layout.getColor({ placement: 6, win: false })).toBe(0xFF0000);
+  });
+
+  it('should show damage share and healing for ARAM instead of vision', () => {
+    const fields = MatchLayouts.forQueue(450).getFields({
+      damageShare: 0.312, totalHeal: 4200, totalHealsOnTeammates: 1500, killParticipation: 0.5, goldEarned: 9000
+    });
+
+    expect(fields.map(field => field.name)).toEqual(['Damage Share', 'Healing', 'Kill Participation', 'Gold']);
+    expect(fields[0].value).toBe('31%');
+  });
+
+  it('should compare against the lane opponent and show both teams on Summoner\'s Rift', () => {
+    const player = { puuid: 'player', championName: 'Ahri', kills: 6, deaths: 2, assists: 4, cs: 210, totalDamageDealtToChampions: 25300 };
+    const opponent = { puuid: 'enemy', championName: 'Zed', gameName: 'Rival', tagLine: 'BR1', kills: 2, deaths: 6, assists: 1, cs: 180, goldEarned: 11000, totalDamageDealtToChampions: 26100 };
+    const fields = MatchLayouts.forQueue(420).getFields({
+      ...player,
+      goldEarned: 12100,
+      csPerMinute: 7,
+      visionScore: 20,
+      killParticipation: 0.5,
+      laneOpponent: opponent,
+      teams: [{ teamId: 100, win: true, players: [player] }, { teamId: 200, win: false, players: [opponent] }]
+    });
+
+    const lane = fields.find(field => field.name === 'Lane Opponent').value.split('\n');
+    expect(lane).toEqual([
+      'vs **Zed** (Rival#BR1)',
+      'CS **210** vs 180 (+30)',
+      'Gold **12.1k** vs 11.0k (+1.1k)',
+      'DMG **25.3k** vs 26.1k (-800)'
+    ]);
+    expect(fields.find(field => field.name === '🔵 Blue Team - Victory').value).toBe('**Ahri 6/2/4 • 210 CS • 25.3k DMG**');
+    expect(fields.find(field => field.name === '🔴 Red Team - Defeat').value).toBe('Zed 2/6/1 • 180 CS • 26.1k DMG');
+  });
+
+  it('should fall back to the Summoner\'s Rift layout', () => {
+    expect(MatchLayouts.forQueue(420)).toBe(MatchLayouts.forQueue(undefined));
+    expect(MatchLayouts.forQueue(420).getResult({ win: true })).toBe('Victory');
+  });
+});
+
+describe('QueueUtils', () => {
+  const QueueUtils = require('../src/utils/QueueUtils');
+
+  it('should default to ranked queues for guilds that never picked any', () => {
+    expect(QueueUtils.getGuildQueueIds({ queues: null })).toEqual([420, 440]);
+    expect(QueueUtils.getGuildQueueIds({ queues: 'aram,arena' })).toEqual([450, 1700, 1710]);
+  });
+
+  it('should ignore queue groups that no longer exist', () => {
+    expect(QueueUtils.getGuildQueueGroups({ queues: 'aram,twisted_treeline' })).toEqual(['aram']);
+  });
+
+  it('should filter match lists by queue or type where the API allows it', () => {
+    expect(QueueUtils.getMatchListFilter([450])).toEqual({ queue: 450 });
+    expect(QueueUtils.getMatchListFilter([420, 440])).toEqual({ type: 'ranked' });
+    expect(QueueUtils.getMatchListFilter([420, 450])).toEqual({});
+  });
+
+  it('should name queues and fall back to the game mode', () => {
+    expect(QueueUtils.getQueueName(1700, 'CHERRY')).toBe('Arena');
+    expect(QueueUtils.getQueueName(9999, 'NEWMODE')).toBe('NEWMODE');
+  });
+});
+
+describe('ChannelRouter', () => {
+  const ChannelRouter = require('../src/services/ChannelRouter');
+
+  const route = (eventType, channelId, queueGroup = '', puuid = '') => ({
+    event_type: eventType, queue_group: queueGroup, puuid, channel_id: channelId
+  });
+  const routes = [
+    route('match', 'matches'),
+    route('match', 'memes', 'aram'),
+    route('match', 'smurf', '', 'player-2'),
+    route('rank', 'announcements')
+  ];
+
+  it('should fall back to the default channel without a matching route', () => {
+    expect(ChannelRouter.resolve(routes, 'default', 'live', { queueId: 420, puuids: ['player-1'] })).toBe('default');
+  });
+
+  it('should prefer player routes over queue routes over event routes', () => {
+    expect(ChannelRouter.resolve(routes, 'default', 'match', { queueId: 420, puuids: ['player-1'] })).toBe('matches');
+    expect(ChannelRouter.resolve(routes, 'default', 'match', { queueId: 450, puuids: ['player-1'] })).toBe('memes');
+    expect(ChannelRouter.resolve(routes, 'default', 'match', { queueId: 450, puuids: ['player-1', 'player-2'] })).toBe('smurf');
+  });
+
+  it('should route events without a queue', () => {
+    expect(ChannelRouter.resolve(routes, 'default', 'rank', { puuids: ['player-1'] })).toBe('announcements');
+  });
+});
+
+describe('HighlightRules', () => {
+  const HighlightRules = require('../src/utils/HighlightRules');
+  const MatchMapper = require('../src/utils/MatchMapper');
+  const fixture = require('./fixtures/match-ranked-surrender.json');
+
+  const matchFor = puuid => MatchMapper.toPlayerMatch(fixture.metadata.matchId, fixture, puuid);
+
+  it('should detect a pentakill, perfect game, first blood and top damage', () => {
+    const highlights = HighlightRules.detect(matchFor('tracked-puuid'));
+
+    expect(highlights.map(h => h.id)).toEqual(['pentakill', 'perfect_game', 'first_blood', 'top_damage', 'early_surrender']);
+    expect(highlights.find(h => h.id === 'pentakill').separatePost).toBe(true);
+    expect(highlights.find(h => h.id === 'early_surrender').text).toBe('The enemy team gave up at 19:10.');
+  });
+
+  it('should flag feeding on the losing side', () => {
+    const highlights = HighlightRules.detect(matchFor('feeder-puuid'));
+
+    expect(highlights.map(h => h.id)).toEqual(['feeding', 'early_surrender']);
+    expect(highlights[0].text).toBe('16 deaths. Someone take their keyboard.');
+  });
+
+  it('should only run the rules a guild has enabled', () => {
+    const enabled = HighlightRules.getEnabledRuleIds({ disabled_highlights: 'early_surrender,top_damage' });
+
+    expect(enabled).not.toContain('top_damage');
+    expect(HighlightRules.detect(matchFor('tracked-puuid'), enabled).map(h => h.id))
+      .toEqual(['pentakill', 'perfect_game', 'first_blood']);
+    expect(HighlightRules.getEnabledRuleIds(null)).toHaveLength(HighlightRules.getRules().length);
+  });
+});
+
+describe('StreakUtils', () => {
+  const StreakUtils = require('../src/utils/StreakUtils');
+
+  it('should announce every multiple of the threshold', () => {
+    const thresholds = { win: 5, loss: 6 };
+
+    expect(StreakUtils.isMilestone({ win: true, count: 5 }, thresholds)).toBe(true);
+    expect(StreakUtils.isMilestone({ win: true, count: 6 }, thresholds)).toBe(false);
+    expect(StreakUtils.isMilestone({ win: true, count: 10 }, thresholds)).toBe(true);
+    expect(StreakUtils.isMilestone({ win: false, count: 5 }, thresholds)).toBe(false);
+    expect(StreakUtils.isMilestone({ win: false, count: 6 }, thresholds)).toBe(true);
+  });
+
+  it('should never announce a turned off streak', () => {
+    expect(StreakUtils.isMilestone({ win: false, count: 6 }, { win: 5, loss: 0 })).toBe(false);
+  });
+
+  it('should use guild thresholds over the defaults', () => {
+    const config = require('../src/config');
+
+    expect(StreakUtils.getThresholds({ win_streak_threshold: 3, loss_streak_threshold: null }))
+      .toEqual({ win: 3, loss: config.streaks.lossThreshold });
+    expect(StreakUtils.getThresholds({ win_streak_threshold: 0 }).win).toBe(0);
+  });
+
+  it('should describe streaks', () => {
+    expect(StreakUtils.format({ win: true, count: 5 })).toBe('🔥 5-game win streak');
+    expect(StreakUtils.format({ win: false, count: 6 })).toBe('🧊 6-game losing streak');
+    expect(StreakUtils.format({ win: false, count: 0 })).toBe('');
+  });
+});
+
+describe('RecapScheduler', () => {
+  const RecapScheduler = require('../src/services/RecapScheduler');
+  const TimeUtils = require('../src/utils/TimeUtils');
+  const saoPaulo = { weekday: 1, hour: 9, timezone: 'America/Sao_Paulo' };
+
+  it('should convert wall-clock times in a timezone', () => {
+    expect(TimeUtils.zonedTimeToTimestamp(2026, 9, 19, 9, 'America/Sao_Paulo')).toBe(Date.parse('2026-10-19T12:00:00Z'));
+    expect(TimeUtils.zonedTimeToTimestamp(2026, 6, 1, 9, 'Europe/Berlin')).toBe(Date.parse('2026-07-01T07:00:00Z'));
+    expect(TimeUtils.getZonedParts(Date.parse('2026-10-19T02:00:00Z'), 'America/Sao_Paulo'))
+      .toMatchObject({ year: 2026, month: 9, day: 18, hour: 23, weekday: 0 });
+    expect(TimeUtils.isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(TimeUtils.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+  });
+
+  it('should find the last weekly period in the guild timezone', () => {
+    expect(RecapScheduler.getLastPeriod('weekly', saoPaulo, Date.parse('2026-10-19T15:00:00Z'))).toEqual({
+      start: Date.parse('2026-10-12T12:00:00Z'),
+      end: Date.parse('2026-10-19T12:00:00Z')
+    });
+
+    // Monday 08:00 local is still before this week's recap
+    expect(RecapScheduler.getLastPeriod('weekly', saoPaulo, Date.parse('2026-10-19T11:00:00Z')).end)
+      .toBe(Date.parse('2026-10-12T12:00:00Z'));
+  });
+
+  it('should keep the configured hour across daylight saving changes', () => {
+    const berlin = { weekday: 1, hour: 9, timezone: 'Europe/Berlin' };
+
+    expect(RecapScheduler.getLastPeriod('weekly', berlin, Date.parse('2026-10-26T10:00:00Z'))).toEqual({
+      start: Date.parse('2026-10-19T07:00:00Z'),
+      end: Date.parse('2026-10-26T08:00:00Z')
+    });
+  });
+
+  it('should find the last monthly period across years', () => {
+    expect(RecapScheduler.getLastPeriod('monthly', saoPaulo, Date.parse('2026-10-01T05:00:00Z'))).toEqual({
+      start: Date.parse('2026-08-01T12:00:00Z'),
+      end: Date.parse('2026-09-01T12:00:00Z')
+    });
+    expect(RecapScheduler.getLastPeriod('monthly', { ...saoPaulo, timezone: 'UTC' }, Date.parse('2027-01-05T00:00:00Z'))).toEqual({
+      start: Date.parse('2026-12-01T09:00:00Z'),
+      end: Date.parse('2027-01-01T09:00:00Z')
+    });
+  });
+
+  it('should skip the first period and post a missed recap once', async () => {
+    const recaps = new Map();
+    const channel = { send: jest.fn().mockResolvedValue() };
+    const database = {
+      getAllGuildConfigs: () => [{ guild_id: 'guild-1', channel_id: 'channel-1', recap_schedule: 'weekly' }],
+      getRecap: (guildId, type) => recaps.get(`${guildId}:${type}`),
+      setRecap: (guildId, type, periodEnd, postedAt = null) => recaps.set(`${guildId}:${type}`, { period_end: periodEnd, posted_at: postedAt }),
+      getGuildLeaderboard: () => [
+        { puuid: 'a', game_name: 'Alpha', tag_line: 'BR1', games: 5, wins: 4, kills: 40, deaths: 10, assists: 30 },
+        { puuid: 'b', game_name: 'Bravo', tag_line: 'BR1', games: 4, wins: 1, kills: 10, deaths: 30, assists: 5 }
+      ],
+      getGuildTopChampions: () => [{ champion_name: 'Jinx', games: 6, wins: 4 }],
+      getPlayers: () => []
+    };
+    const riotApi = { staticData: { getChampionName: key => key } };
+    const scheduler = new RecapScheduler(database, riotApi, { getChannel: jest.fn().mockResolvedValue(channel) });
+
+    await scheduler.checkRecaps(Date.parse('2026-10-14T12:00:00Z'));
+    expect(channel.send).not.toHaveBeenCalled();
+
+    // Bot was down for two Mondays: only the latest week is posted
+    await scheduler.checkRecaps(Date.parse('2026-10-27T12:00:00Z'));
+    await scheduler.checkRecaps(Date.parse('2026-10-27T12:05:00Z'));
+    expect(channel.send).toHaveBeenCalledTimes(1);
+    expect(recaps.get('guild-1:weekly').period_end).toBe(Date.parse('2026-10-26T09:00:00Z'));
+
+    const recap = scheduler.buildRecap('guild-1', { start: 0, end: 1 });
+    expect(recap.mvp.game_name).toBe('Alpha');
+    expect(recap.worstKda.game_name).toBe('Bravo');
+    expect(recap.games).toBe(9);
+  });
+});
+
+describe('Member links', () => {
+  const DatabaseManager = require('../src/database/DatabaseManager');
+  const LinkUtils = require('../src/utils/LinkUtils');
+
+  const game = (matchId, puuid, win, gameEndTimestamp) => ({
+    matchId, puuid, win, gameEndTimestamp,
+    championName: 'Jinx', gameMode: 'CLASSIC', gameDuration: 1800, kills: 5, deaths: 2, assists: 3
+  });
+
+  it('should combine a member\'s approved accounts for stats', () => {
+    const database = new DatabaseManager();
+    database.setGuildConfig('guild-1', 'channel-1');
+    database.addPlayer('guild-1', 'Main', 'BR1', 'main-puuid');
+    database.addPlayer('guild-1', 'Smurf', 'BR1', 'smurf-puuid');
+    database.addPlayer('guild-1', 'Claimed', 'BR1', 'claimed-puuid');
+    database.setMemberLink('guild-1', 'main-puuid', 'user-1', true);
+    database.setMemberLink('guild-1', 'smurf-puuid', 'user-1', true);
+    database.setMemberLink('guild-1', 'claimed-puuid', 'user-1', false);
+
+    database.saveMatch(game('BR1_1', 'main-puuid', true, 1000));
+    database.saveMatch(game('BR1_2', 'smurf-puuid', true, 2000));
+    database.saveMatch(game('BR1_3', 'claimed-puuid', false, 3000));
+
+    const puuids = database.getMemberPlayers('guild-1', 'user-1').map(player => player.puuid);
+    expect(puuids).toEqual(['main-puuid', 'smurf-puuid']);
+    expect(database.getPlayerStats(puuids)).toMatchObject({ games: 2, wins: 2, kills: 10 });
+    expect(database.getCurrentStreak(puuids)).toEqual({ win: true, count: 2 });
+    expect(database.getPlayerStats('main-puuid').games).toBe(1);
+
+    database.close();
+  });
+
+  it('should not let a claim replace another member\'s pending claim', async () => {
+    const LinkCommand = require('../src/commands/LinkCommand');
+    const database = new DatabaseManager();
+    database.setGuildConfig('guild-1', 'channel-1');
+    database.addPlayer('guild-1', 'Main', 'BR1', 'main-puuid');
+
+    const claim = async userId => {
+      const replies = [];
+      await new LinkCommand().execute({
+        guildId: 'guild-1',
+        user: { id: userId },
+        options: { getSubcommand: () => 'claim', getString: () => 'Main#BR1' },
+        reply: async ({ embeds }) => replies.push(embeds[0].toJSON())
+      }, { database });
+      return replies[0];
+    };
+
+    expect((await claim('user-1')).title).toBe('✅ Claim Sent!');
+    expect((await claim('user-2')).description).toContain('waiting for an admin');
+    expect(database.getMemberLink('guild-1', 'main-puuid')).toMatchObject({ discord_user_id: 'user-1', approved: 0 });
+
+    database.close();
+  });
+
+  it('should only show approved members, once each, in player order', () => {
+    const links = [
+      { puuid: 'a', discord_user_id: 'user-1', approved: 1 },
+      { puuid: 'b', discord_user_id: 'user-2', approved: 1 },
+      { puuid: 'c', discord_user_id: 'user-1', approved: 1 },
+      { puuid: 'd', discord_user_id: 'user-3', approved: 0 }
+    ];
+
+    expect(LinkUtils.getMemberIds(links, ['b', 'a', 'c', 'd'])).toEqual(['user-2', 'user-1']);
+    expect(LinkUtils.groupByMember(links).pending).toHaveLength(1);
+  });
+});
+
+describe('Follower DMs', () => {
+  const MatchChecker = require('../src/services/MatchChecker');
+
+  it('should DM each follower once per match and keep going when a DM fails', async () => {
+    const send = jest.fn()
+      .mockRejectedValueOnce(new Error('Cannot send messages to this user'))
+      .mockResolvedValue();
+    const client = { users: { fetch: jest.fn(async id => ({ id, send })) } };
+    const followers = { a: ['user-1', 'user-2'], b: ['user-2', 'user-3'] };
+    const database = { getFollowerIds: (guildId, puuid) => followers[puuid] || [] };
+    const checker = new MatchChecker(database, {}, client);
+    const sentDms = new Set();
+
+    await checker.sendFollowerDms('guild-1', 'BR1_1', ['a', 'b'], { data: {} }, sentDms);
+    await checker.sendFollowerDms('guild-2', 'BR1_1', ['a'], { data: {} }, sentDms);
+
+    expect(client.users.fetch.mock.calls.map(([id]) => id)).toEqual(['user-1', 'user-2', 'user-3']);
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Players tracked by several guilds', () => {
+  const MatchChecker = require('../src/services/MatchChecker');
+  // Newest first, with their queues
+  const QUEUES = { BR1_4: 420, BR1_3: 450, BR1_2: 420, BR1_1: 420 };
+
+  const createChecker = (cursors, queues = QUEUES) => {
+    // Stored match ID -> end time; BR1_<n> ends at n seconds
+    const stored = new Map();
+    const toMatch = matchId => ({ matchId, queueId: queues[matchId], gameEndTimestamp: Number(matchId.split('_')[1]) * 1000 });
+    const database = {
+      getLastMatch: (guildId, puuid) => cursors[`${guildId}:${puuid}`] ? { match_id: cursors[`${guildId}:${puuid}`] } : undefined,
+      setLastMatch: jest.fn((guildId, puuid, matchId) => { cursors[`${guildId}:${puuid}`] = matchId; }),
+      saveMatch: jest.fn(match => stored.set(match.matchId, match.gameEndTimestamp)),
+      getMatchEndTime: matchId => stored.get(matchId) ?? null,
+      getCurrentStreak: () => null
+    };
+    const riotApi = {
+      getPlayerRanks: jest.fn(async () => null),
+      getMatch: jest.fn(async matchId => toMatch(matchId)),
+      getMatchIds: jest.fn(async (puuid, count, priority, platform, filter) =>
+        Object.keys(queues).filter(matchId => !filter.queue || queues[matchId] === filter.queue)),
+      getMatchesAfter: jest.fn(async (puuid, matchIds, lastMatchId) => {
+        const cursor = matchIds.indexOf(lastMatchId);
+        return (cursor === -1 ? matchIds : matchIds.slice(0, cursor)).reverse().map(toMatch);
+      })
+    };
+    const checker = new MatchChecker(database, riotApi, {});
+    checker.rankTracker.initialize = jest.fn();
+    return { checker, database, riotApi };
+  };
+
+  // Post every result, advancing cursors the way postNewMatches does
+  const check = async (checker, database, entries) => {
+    const { results } = await checker.checkPlayer(entries);
+    results.forEach(r => database.setLastMatch(r.guildId, r.puuid, r.match.matchId));
+    return results.map(r => `${r.guildId}:${r.match.matchId}`);
+  };
+
+  it('should fetch one match list per queue filter and advance each guild from its own cursor', async () => {
+    const cursors = { 'guild-1:p1': 'BR1_2', 'guild-2:p1': 'BR1_1' };
+    const { checker, database, riotApi } = createChecker(cursors);
+    const entries = [
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420] },
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-2', queueIds: [420, 450] },
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-3', queueIds: [420] }
+    ];
+
+    expect(await check(checker, database, entries)).toEqual([
+      'guild-1:BR1_4',
+      'guild-2:BR1_2', 'guild-2:BR1_3', 'guild-2:BR1_4'
+    ]);
+    expect(riotApi.getMatchIds.mock.calls.map(call => call[4])).toEqual([{ queue: 420 }, {}]);
+    expect(database.saveMatch).toHaveBeenCalledTimes(3);
+    expect(cursors['guild-3:p1']).toBe('BR1_4');
+    expect(checker.rankTracker.initialize).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not repost when the other guilds tracking the player change between checks', async () => {
+    // The newest game is in a queue only the mixed guild posts
+    const cursors = { 'guild-1:p1': 'BR1_2', 'guild-2:p1': 'BR1_2' };
+    const { checker, database } = createChecker(cursors, { BR1_3: 450, BR1_2: 420, BR1_1: 420 });
+    const soloGuild = { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420] };
+    const mixedGuild = { puuid: 'p1', platform: 'br1', guild_id: 'guild-2', queueIds: [420, 450] };
+
+    expect(await check(checker, database, [soloGuild, mixedGuild])).toEqual(['guild-2:BR1_3']);
+    expect(cursors['guild-1:p1']).toBe('BR1_2');
+    // The mixed guild untracks the player, so only the solo guild's queue is fetched
+    expect(await check(checker, database, [soloGuild])).toEqual([]);
+  });
+
+  it('should skip games that ended before a cursor that is no longer in the match list', async () => {
+    // e.g. a cursor left on a game from another queue by an older version
+    const cursors = { 'guild-1:p1': 'BR1_3' };
+    const { checker, database } = createChecker(cursors);
+    const soloGuild = { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420] };
+    database.saveMatch({ matchId: 'BR1_3', gameEndTimestamp: 3000 });
+
+    expect(await check(checker, database, [soloGuild])).toEqual(['guild-1:BR1_4']);
+    expect(await check(checker, database, [soloGuild])).toEqual([]);
+  });
+
+  it('should not hide a game from a guild because another guild posted it', async () => {
+    // The lookback only reaches BR1_3, past guild-2's cursor
+    const cursors = { 'guild-1:p1': 'BR1_4', 'guild-2:p1': 'BR1_2' };
+    const { checker, database } = createChecker(cursors, { BR1_5: 420, BR1_4: 420, BR1_3: 420 });
+    database.saveMatch({ matchId: 'BR1_2', gameEndTimestamp: 2000 });
+    database.saveMatch({ matchId: 'BR1_4', gameEndTimestamp: 4000 });
+    const entries = [
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420] },
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-2', queueIds: [420] }
+    ];
+
+    expect(await check(checker, database, entries)).toEqual([
+      'guild-1:BR1_5',
+      'guild-2:BR1_3', 'guild-2:BR1_4', 'guild-2:BR1_5'
+    ]);
+  });
+
+  it('should store games in queues the guild does not post', async () => {
+    const cursors = { 'guild-1:p1': 'BR1_1' };
+    const { checker, database, riotApi } = createChecker(cursors, { BR1_3: 440, BR1_2: 450, BR1_1: 420 });
+    const entries = [
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420, 450] },
+      { puuid: 'p1', platform: 'br1', guild_id: 'guild-2', queueIds: [420] }
+    ];
+
+    expect(await check(checker, database, entries)).toEqual(['guild-1:BR1_2']);
+    expect(database.saveMatch.mock.calls.map(([match]) => match.matchId)).toEqual(['BR1_2', 'BR1_3', 'BR1_1']);
+    // A guild seeing the player for the first time stores the latest game of its own list
+    expect(riotApi.getMatch).toHaveBeenCalledWith('BR1_1', 'p1', 1, 'br1');
+    expect(cursors['guild-2:p1']).toBe('BR1_1');
+  });
+
+  it('should give each guild the rank changes of its own queues from one snapshot', async () => {
+    const cursors = { 'guild-1:p1': 'BR1_1', 'guild-2:p1': 'BR1_1' };
+    const { checker, database, riotApi } = createChecker(cursors, { BR1_3: 440, BR1_2: 420, BR1_1: 420 });
+    const previous = {
+      RANKED_SOLO_5x5: { tier: 'GOLD', rank: 'I', league_points: 90 },
+      RANKED_FLEX_SR: { tier: 'SILVER', rank: 'II', league_points: 40 }
+    };
+    database.getLatestRankSnapshot = (puuid, queueType) => previous[queueType];
+    database.saveRankSnapshot = jest.fn();
+    riotApi.getPlayerRanks.mockResolvedValue([
+      { queueType: 'RANKED_SOLO_5x5', tier: 'PLATINUM', rank: 'IV', leaguePoints: 10 },
+      { queueType: 'RANKED_FLEX_SR', tier: 'SILVER', rank: 'II', leaguePoints: 62 }
+    ]);
+    const soloGuild = { puuid: 'p1', platform: 'br1', guild_id: 'guild-1', queueIds: [420] };
+    const flexGuild = { puuid: 'p1', platform: 'br1', guild_id: 'guild-2', queueIds: [440] };
+
+    const { results, rankEvents } = await checker.checkPlayer([soloGuild, flexGuild]);
+
+    expect(riotApi.getPlayerRanks).toHaveBeenCalledTimes(1);
+    expect(database.saveRankSnapshot).toHaveBeenCalledTimes(2);
+    const soloMatch = results.find(r => r.guildId === 'guild-1').match;
+    const flexMatch = results.find(r => r.guildId === 'guild-2').match;
+    expect(soloMatch.lpChange).toBe(20);
+    expect(soloMatch.rankAfter.tier).toBe('PLATINUM');
+    expect(flexMatch.lpChange).toBe(22);
+    expect(flexMatch.rankAfter.leaguePoints).toBe(62);
+    expect(rankEvents).toEqual([
+      expect.objectContaining({ guildId: 'guild-1', queueType: 'RANKED_SOLO_5x5', type: 'promotion' })
+    ]);
+  });
+});
+
+describe('RateLimiter', () => {
+  const RateLimiter = require('../src/services/RateLimiter');
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new RateLimiter();
+    limiter.isProcessing = false;
+  });
+
+  const run = (headers, error = null) => new Promise((resolve, reject) => {
+    const request = {
+      requestFn: () => error ? Promise.reject(Object.assign(error, { headers })) : Promise.resolve({ data: 'ok', headers }),
+      resolve,
+      reject,
+      priority: 1,
+      timeout: 1000,
+      host: 'americas',
+      method: 'match-v5.getMatch',
+      retryCount: 0
+    };
+    limiter.executeRequest(request).then(() => {
+      if (error && error.status === 429) resolve('requeued');
+    });
+  });
+
+  it('should parse Riot rate limit headers', () => {
+    expect(RateLimiter.parseLimitHeader('20:1,100:120')).toEqual([
+      { count: 20, window: 1000 },
+      { count: 100, window: 120000 }
+    ]);
+    expect(RateLimiter.parseLimitHeader(undefined)).toEqual([]);
+  });
+
+  it('should size app and method buckets from response headers', async () => {
+    await run({
+      'x-app-rate-limit': '500:10,30000:600',
+      'x-app-rate-limit-count': '5:10,5:600',
+      'x-method-rate-limit': '2000:10',
+      'x-method-rate-limit-count': '1:10'
+    });
+
+    const buckets = limiter.getQueueStatus().buckets;
+    expect(buckets.find(b => b.key === 'americas').limits).toEqual([
+      { count: 450, window: 10000, used: 5 },
+      { count: 27000, window: 600000, used: 5 }
+    ]);
+    expect(buckets.find(b => b.key === 'americas match-v5.getMatch').limits).toEqual([
+      { count: 1800, window: 10000, used: 1 }
+    ]);
+  });
+
+  it('should block only the bucket Riot reports on 429', async () => {
+    const error = Object.assign(new Error('Rate limit exceeded. Retry after 5 seconds'), { status: 429, retryAfter: 5 });
+    await expect(run({ 'x-rate-limit-type': 'method' }, error)).resolves.toBe('requeued');
+
+    const buckets = limiter.getQueueStatus().buckets;
+    expect(buckets.find(b => b.key === 'americas').blockedFor).toBe(0);
+    expect(buckets.find(b => b.key === 'americas match-v5.getMatch').blockedFor).toBeGreaterThan(4000);
+    expect(limiter.priorityQueues[1]).toHaveLength(1);
+    expect(limiter.canMakeRequest({ host: 'americas', method: 'league-v4.getLeagueEntriesByPUUID' })).toBe(true);
+  });
+
+  it('should restore request times and Retry-After deadlines after a restart', async () => {
+    const DatabaseManager = require('../src/database/DatabaseManager');
+    const database = new DatabaseManager();
+    limiter = new RateLimiter(database);
+    limiter.isProcessing = false;
+
+    await run({ 'x-method-rate-limit': '2000:10' });
+    const error = Object.assign(new Error('Rate limit exceeded. Retry after 60 seconds'), { status: 429, retryAfter: 60 });
+    await run({ 'x-rate-limit-type': 'application' }, error);
+    limiter.stop();
+
+    const restarted = new RateLimiter(database);
+    restarted.isProcessing = false;
+    const buckets = restarted.getQueueStatus().buckets;
+
+    expect(buckets.find(b => b.key === 'americas').limits[0].used).toBe(2);
+    expect(buckets.find(b => b.key === 'americas').blockedFor).toBeGreaterThan(59000);
+    expect(buckets.find(b => b.key === 'americas match-v5.getMatch').limits).toEqual([
+      { count: 1800, window: 10000, used: 2 }
+    ]);
+    database.close();
+  });
+});
+
+describe('ApiCache', () => {
+  const ApiCache = require('../src/services/ApiCache');
+  const ttls = { match: Infinity, matchlist: 10000, default: 30000 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should expire entries by key prefix', () => {
+    const cache = new ApiCache(null, { ttls, maxBytes: 1000, persistentPrefixes: [] });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    cache.set('matchlist:a', ['BR1_1']);
+    cache.set('match:BR1_1', { id: 1 });
+    cache.set('br1:/path', { ok: true });
+
+    Date.now.mockReturnValue(now + 20000);
+    expect(cache.get('matchlist:a')).toBeUndefined();
+    expect(cache.get('br1:/path')).toEqual({ ok: true });
+    expect(cache.get('match:BR1_1')).toEqual({ id: 1 });
+  });
+
+  it('should evict the least recently used entries over the memory bound', () => {
+    const cache = new ApiCache(null, { ttls, maxBytes: 30, persistentPrefixes: [] });
+    cache.set('match:1', '0123456789');
+    cache.set('match:2', '0123456789');
+    cache.get('match:1');
+    cache.set('match:3', '0123456789');
+
+    expect(cache.get('match:2')).toBeUndefined();
+    expect(cache.get('match:1')).toBe('0123456789');
+    expect(cache.getStats()).toMatchObject({ entries: 2, bytes: 24, evictions: 1 });
+  });
+
+  it('should keep immutable data in the database across restarts', () => {
+    const DatabaseManager = require('../src/database/DatabaseManager');
+    const database = new DatabaseManager();
+    new ApiCache(database, { ttls, maxBytes: 1000, persistentPrefixes: ['match'] }).set('match:BR1_1', { id: 1 });
+    new ApiCache(database, { ttls, maxBytes: 1000, persistentPrefixes: ['match'] }).set('matchlist:a', ['BR1_1']);
+
+    const restarted = new ApiCache(database, { ttls, maxBytes: 1000, persistentPrefixes: ['match'] });
+    expect(restarted.get('match:BR1_1')).toEqual({ id: 1 });
+    expect(restarted.get('matchlist:a')).toBeUndefined();
+    expect(restarted.getStats()).toMatchObject({ diskHits: 1, misses: 1 });
+    database.close();
+  });
+});
+
+describe('PollScheduler', () => {
+  const PollScheduler = require('../src/services/PollScheduler');
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  const now = Date.UTC(2025, 5, 1);
+  const lastPlayed = { active: now - HOUR, recent: now - 3 * DAY, dormant: now - 60 * DAY, live: now - 60 * DAY };
+  const database = { getLastPlayedAt: puuid => lastPlayed[puuid] ?? null };
+  const liveGameTracker = { isInGame: puuid => puuid === 'live' };
+
+  it('should pick tiers from recent activity with a fast lane for live games', () => {
+    expect(PollScheduler.getTier(now - HOUR, false, 10, now)).toEqual({ name: 'active', interval: 60000 });
+    expect(PollScheduler.getTier(now - HOUR, false, 500, now)).toEqual({ name: 'active', interval: 600000 });
+    expect(PollScheduler.getTier(now - 3 * DAY, false, 10, now).name).toBe('recent');
+    expect(PollScheduler.getTier(null, false, 10, now).name).toBe('dormant');
+    expect(PollScheduler.getTier(null, true, 10, now)).toEqual({ name: 'live', interval: 60000 });
+  });
+
+  it('should return due players, most overdue first', () => {
+    const scheduler = new PollScheduler(database, liveGameTracker);
+    const puuids = ['active', 'recent', 'dormant', 'live', 'new'];
+    puuids.slice(0, 4).forEach(puuid => scheduler.markPolled(puuid, now - 20 * 60 * 1000));
+    scheduler.markPolled('active', now - 2 * 60 * 1000);
+
+    expect(scheduler.getDuePlayers(puuids, now)).toEqual(['new', 'live', 'recent', 'active']);
+  });
+
+  it('should estimate match list requests per minute', () => {
+    const scheduler = new PollScheduler(database, liveGameTracker);
+    const budget = scheduler.getBudget(['active', 'recent', 'dormant'], now);
+    expect(budget.tiers).toEqual({ active: 1, recent: 1, dormant: 1 });
+    expect(budget.requestsPerMinute).toBeCloseTo(1 + 0.1 + 1 / 60);
+  });
+});
+
+describe('StaticDataService', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const StaticDataService = require('../src/services/StaticDataService');
+  const fixture = require('./fixtures/ddragon.json');
+
+  // Serve the fixture instead of Data Dragon
+  const fixtureFetch = jest.fn(async (url) => {
+    if (url.endsWith('/api/versions.json')) return fixture.versions;
+    const file = url.split('/').pop().replace('.json', '');
+    return fixture[file];
+  });
+  const offlineFetch = jest.fn(async () => {
+    throw new Error('Network error: offline');
+  });
+
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-data-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should resolve names and icons against the latest patch', async () => {
+    const staticData = await new StaticDataService({ cacheDir, fetchJson: fixtureFetch }).load();
+
+    expect(staticData.getVersion()).toBe('15.20.1');
+    expect(staticData.getChampionName('MonkeyKing')).toBe('Wukong');
+    expect(staticData.getChampion(804).iconUrl).toBe('https://ddragon.leagueoflegends.com/cdn/15.20.1/img/champion/Yunara.png');
+    expect(staticData.getItem(3020).name).toBe("Sorcerer's Shoes");
+    expect(staticData.getRune(8112).iconUrl).toBe('https://ddragon.leagueoflegends.com/cdn/img/perk-images/Styles/Domination/Electrocute/Electrocute.png');
+    expect(staticData.getSummonerSpell(14).name).toBe('Ignite');
+    expect(staticData.getAugment(205).name).toBe('Jeweled Gauntlet');
+  });
+
+  it('should reuse the disk cache when offline', async () => {
+    await new StaticDataService({ cacheDir, fetchJson: fixtureFetch }).load();
+    const staticData = await new StaticDataService({ cacheDir, fetchJson: offlineFetch }).load();
+
+    expect(staticData.getVersion()).toBe('15.20.1');
+    expect(staticData.getChampionName(804)).toBe('Yunara');
+  });
+
+  it('should fall back to the bundled snapshot when offline without a cache', async () => {
+    const staticData = await new StaticDataService({ cacheDir, fetchJson: offlineFetch }).load();
+
+    expect(staticData.getChampionName('MonkeyKing')).toBe('Wukong');
+    expect(staticData.getSummonerSpell(4).name).toBe('Flash');
+  });
+
+  it('should fall back to the raw value for unknown champions', async () => {
+    const staticData = await new StaticDataService({ cacheDir, fetchJson: offlineFetch }).load();
+
+    expect(staticData.getChampionName('NewChampion')).toBe('NewChampion');
+    expect(staticData.getChampionName(99999)).toBe('Champion 99999');
+  });
+
+  it('should show display names for stored matches in /history and /stats', async () => {
+    const DatabaseManager = require('../src/database/DatabaseManager');
+    const HistoryCommand = require('../src/commands/HistoryCommand');
+    const StatsCommand = require('../src/commands/StatsCommand');
+    const staticData = await new StaticDataService({ cacheDir, fetchJson: fixtureFetch }).load();
+    const database = new DatabaseManager();
+    database.setGuildConfig('guild-1', 'channel-1');
+    database.addPlayer('guild-1', 'Player', 'BR1', 'puuid-1');
+    database.saveMatch({
+      matchId: 'BR1_1', puuid: 'puuid-1', championName: 'MonkeyKing', win: true,
+      gameMode: 'CLASSIC', queueId: 420, gameDuration: 1800, gameEndTimestamp: Date.now(), kills: 5, deaths: 2, assists: 3
+    });
+
+    const reply = jest.fn();
+    const interaction = {
+      guildId: 'guild-1',
+      options: { getString: name => (name === 'player' ? 'Player#BR1' : null), getInteger: () => null, getUser: () => null },
+      reply
+    };
+    await new HistoryCommand().execute(interaction, { database, riotApi: { staticData } });
+    await new StatsCommand().execute(interaction, { database, riotApi: { staticData } });
+
+    const [history, stats] = reply.mock.calls.map(([{ embeds }]) => JSON.stringify(embeds[0].toJSON()));
+    expect(history).toContain('**Wukong**');
+    expect(stats).toContain('**Wukong**');
+    expect(history + stats).not.toContain('MonkeyKing');
+
+    database.close();
+  });
+});
@@ -17,7 +17,7 @@ try {
 
 // Initialize services
 const database = new DatabaseManager();
-const riotApi = new RiotApiService();
+const riotApi = new RiotApiService(database);
 const commandManager = new CommandManager();
 
 // Initialize Discord client
@@ -61,7 +61,8 @@ client.on('interactionCreate', async interaction => {
   const services = {
     database,
     riotApi,
-    commandManager
+    commandManager,
+    matchChecker
   };
   
   await commandManager.handleInteraction(interaction, services);
@@ -75,6 +76,7 @@ process.on('SIGINT', () => {
     matchChecker.stop();
   }
   
+  riotApi.rateLimiter.stop();
   database.close();
   process.exit(0);
 });
@@ -86,6 +88,7 @@ process.on('unhandledRejection', (reason, promise) => {
 
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
+  riotApi.rateLimiter.saveState();
   process.exit(1);
 });
 
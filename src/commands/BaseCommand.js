@@ -23,38 +23,87 @@ class BaseCommand {
       .setDescription(this.description)
       .setDefaultMemberPermissions(this.defaultMemberPermissions);
 
-    // Add options
+    // Add options (or subcommands, which carry their own options)
     this.options.forEach(option => {
-      if (option.type === 'string') {
-        builder.addStringOption(opt => 
-          opt.setName(option.name)
-            .setDescription(option.description)
-            .setRequired(option.required || false)
-        );
-      } else if (option.type === 'channel') {
-        builder.addChannelOption(opt => 
-          opt.setName(option.name)
-            .setDescription(option.description)
-            .setRequired(option.required || false)
-        );
-      } else if (option.type === 'user') {
-        builder.addUserOption(opt => 
-          opt.setName(option.name)
-            .setDescription(option.description)
-            .setRequired(option.required || false)
-        );
-      } else if (option.type === 'integer') {
-        builder.addIntegerOption(opt => 
-          opt.setName(option.name)
-            .setDescription(option.description)
-            .setRequired(option.required || false)
-        );
+      if (option.type === 'subcommand') {
+        builder.addSubcommand(sub => {
+          sub.setName(option.name).setDescription(option.description);
+          (option.options || []).forEach(subOption => this.addOption(sub, subOption));
+          return sub;
+        });
+      } else {
+        this.addOption(builder, option);
       }
     });
 
     return builder;
   }
 
+  /**
+   * Add a flat option to a command or subcommand builder
+   * @param {SlashCommandBuilder|SlashCommandSubcommandBuilder} builder - Target builder
+   * @param {Object} option - Option definition
+   * @private
+   */
+  addOption(builder, option) {
+    if (option.type === 'string') {
+      builder.addStringOption(opt => {
+        opt.setName(option.name)
+          .setDescription(option.description)
+          .setRequired(option.required || false);
+        if (option.choices) {
+          opt.addChoices(...option.choices);
+        }
+        return opt;
+      });
+    } else if (option.type === 'channel') {
+      builder.addChannelOption(opt => 
+        opt.setName(option.name)
+          .setDescription(option.description)
+          .setRequired(option.required || false)
+      );
+    } else if (option.type === 'user') {
+      builder.addUserOption(opt => 
+        opt.setName(option.name)
+          .setDescription(option.description)
+          .setRequired(option.required || false)
+      );
+    } else if (option.type === 'integer') {
+      builder.addIntegerOption(opt => {
+        opt.setName(option.name)
+          .setDescription(option.description)
+          .setRequired(option.required || false);
+        if (option.minValue !== undefined) {
+          opt.setMinValue(option.minValue);
+        }
+        if (option.maxValue !== undefined) {
+          opt.setMaxValue(option.maxValue);
+        }
+        if (option.choices) {
+          opt.addChoices(...option.choices);
+        }
+        return opt;
+      });
+    } else if (option.type === 'boolean') {
+      builder.addBooleanOption(opt => 
+        opt.setName(option.name)
+          .setDescription(option.description)
+          .setRequired(option.required || false)
+      );
+    }
+  }
+
+  /**
+   * Parse a Riot ID in the Name#TAG format
+   * @param {string} value - Raw Riot ID
+   * @returns {Object|null} - { gameName, tagLine } or null if invalid
+   */
+  parseRiotId(value) {
+    if (!value) return null;
+    const [gameName, tagLine] = value.trim().split('#').map(part => part && part.trim());
+    return gameName && tagLine ? { gameName, tagLine } : null;
+  }
+
   /**
    * Execute the command
    * @param {Object} interaction - Discord interaction object
@@ -83,7 +132,7 @@ class BaseCommand {
    * @param {boolean} ephemeral - Whether to send as ephemeral
    */
   async sendError(interaction, message, ephemeral = true) {
-    const { EmbedUtils } = require('../utils/EmbedBuilder');
+    const EmbedUtils = require('../utils/EmbedBuilder');
     const embed = EmbedUtils.createErrorEmbed('Error', message);
     
     if (interaction.deferred) {
@@ -101,7 +150,7 @@ class BaseCommand {
    * @param {boolean} ephemeral - Whether to send as ephemeral
    */
   async sendSuccess(interaction, title, message, ephemeral = true) {
-    const { EmbedUtils } = require('../utils/EmbedBuilder');
+    const EmbedUtils = require('../utils/EmbedBuilder');
     const embed = EmbedUtils.createSuccessEmbed(title, message);
     
     if (interaction.deferred) {
@@ -4,6 +4,8 @@
  */
 const BaseCommand = require('./BaseCommand');
 const config = require('../config');
+const QueueUtils = require('../utils/QueueUtils');
+const HighlightRules = require('../utils/HighlightRules');
 
 class CheckCommand extends BaseCommand {
   constructor() {
@@ -24,6 +26,9 @@ class CheckCommand extends BaseCommand {
 
     const channel = await interaction.client.channels.fetch(guildConfig.channel_id);
     const players = database.getPlayers(interaction.guildId);
+    const queueIds = QueueUtils.getGuildQueueIds(guildConfig);
+    const queueFilter = QueueUtils.getMatchListFilter(queueIds);
+    const enabledRules = HighlightRules.getEnabledRuleIds(guildConfig);
     let matchesFound = 0;
 
     // Process players in smaller batches for manual check
@@ -34,10 +39,11 @@ class CheckCommand extends BaseCommand {
       
       const promises = batch.map(async (player) => {
         try {
-          const match = await riotApi.getLastMatch(player.puuid);
+          const match = await riotApi.getLastMatch(player.puuid, 1, player.platform, queueFilter);
           
-          if (match) {
-            const embed = EmbedUtils.createMatchEmbed(match);
+          if (match && QueueUtils.isQueueEnabled(queueIds, match.queueId)) {
+            database.saveMatch(match);
+            const embed = EmbedUtils.createMatchEmbed(match, HighlightRules.detect(match, enabledRules));
             await channel.send({ embeds: [embed] });
             return 1;
           }
@@ -3,11 +3,20 @@
  * Manages all slash commands and their registration
  */
 const SetupCommand = require('./SetupCommand');
+const TrackCommand = require('./TrackCommand');
 const CheckCommand = require('./CheckCommand');
 const ConfigCommand = require('./ConfigCommand');
 const StatusCommand = require('./StatusCommand');
 const RefreshCommand = require('./RefreshCommand');
 const RateLimitCommand = require('./RateLimitCommand');
+const HistoryCommand = require('./HistoryCommand');
+const StatsCommand = require('./StatsCommand');
+const LeaderboardCommand = require('./LeaderboardCommand');
+const SettingsCommand = require('./SettingsCommand');
+const RouteCommand = require('./RouteCommand');
+const LinkCommand = require('./LinkCommand');
+const FollowCommand = require('./FollowCommand');
+const UnfollowCommand = require('./UnfollowCommand');
 
 class CommandManager {
   constructor() {
@@ -22,11 +31,20 @@ class CommandManager {
   registerCommands() {
     const commandInstances = [
       new SetupCommand(),
+      new TrackCommand(),
       new CheckCommand(),
       new ConfigCommand(),
       new StatusCommand(),
       new RefreshCommand(),
-      new RateLimitCommand()
+      new RateLimitCommand(),
+      new HistoryCommand(),
+      new StatsCommand(),
+      new LeaderboardCommand(),
+      new SettingsCommand(),
+      new RouteCommand(),
+      new LinkCommand(),
+      new FollowCommand(),
+      new UnfollowCommand()
     ];
 
     commandInstances.forEach(command => {
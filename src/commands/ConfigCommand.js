@@ -4,6 +4,7 @@
  */
 const BaseCommand = require('./BaseCommand');
 const config = require('../config');
+const QueueUtils = require('../utils/QueueUtils');
 
 class ConfigCommand extends BaseCommand {
   constructor() {
@@ -23,12 +24,14 @@ class ConfigCommand extends BaseCommand {
     const channel = await interaction.client.channels.fetch(guildConfig.channel_id).catch(() => null);
     const players = database.getPlayers(interaction.guildId);
     
-    // Calculate current dynamic interval for this guild
-    const totalPlayers = players.length;
-    const dynamicInterval = config.getDynamicInterval(totalPlayers);
+    // Interval of active players, which scales with the number of players polled across guilds
+    const polledPlayers = new Set(database.getAllPlayers().map(player => player.puuid)).size;
+    const dynamicInterval = config.getDynamicInterval(polledPlayers);
+
+    const queues = QueueUtils.getGuildQueueGroups(guildConfig).map(group => config.queues.groups[group].label);
 
     const embed = EmbedUtils.createConfigEmbed(
-      { channel },
+      { channel, queues },
       players,
       dynamicInterval / 1000
     );
@@ -0,0 +1,60 @@
+/**
+ * Follow Command
+ * Sends a tracked player's match results to the member by DM
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+
+class FollowCommand extends BaseCommand {
+  constructor() {
+    super('follow', 'Get a tracked player\'s match results by DM', [
+      {
+        type: 'string',
+        name: 'player',
+        description: 'Riot ID (format: Name#TAG)',
+        required: true
+      }
+    ]);
+    this.defaultMemberPermissions = null;
+  }
+
+  async execute(interaction, services) {
+    const { database } = services;
+
+    const riotId = this.parseRiotId(interaction.options.getString('player'));
+    if (!riotId) {
+      return this.sendError(interaction, 'Invalid Riot ID format. Use: Name#TAG');
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    if (!player) {
+      return this.sendError(interaction, `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.`);
+    }
+
+    const name = `${player.game_name}#${player.tag_line}`;
+    const follows = database.getUserFollows(interaction.user.id);
+
+    if (follows.some(follow => follow.guild_id === interaction.guildId && follow.puuid === player.puuid)) {
+      return this.sendError(interaction, `You already follow **${name}**.`);
+    }
+
+    const { maxPerUser } = config.follows;
+    if (follows.length >= maxPerUser) {
+      return this.sendError(
+        interaction,
+        `You can follow up to ${maxPerUser} players. Use /unfollow first.\n\n**Following:** ${follows.map(f => `${f.game_name}#${f.tag_line}`).join(', ')}`
+      );
+    }
+
+    database.addFollow(interaction.guildId, player.puuid, interaction.user.id);
+
+    await this.sendSuccess(
+      interaction,
+      'Following!',
+      `You'll get **${name}**'s match results by DM. Make sure DMs from server members are allowed.\n` +
+      `**Following:** ${follows.length + 1}/${maxPerUser}`
+    );
+  }
+}
+
+module.exports = FollowCommand;
@@ -0,0 +1,54 @@
+/**
+ * History Command
+ * Shows a tracked player's stored match history
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+
+class HistoryCommand extends BaseCommand {
+  constructor() {
+    super('history', 'Show stored match history for a tracked player', [
+      {
+        type: 'string',
+        name: 'player',
+        description: 'Riot ID (format: Name#TAG)',
+        required: true
+      },
+      {
+        type: 'integer',
+        name: 'page',
+        description: 'Page number (default: 1)',
+        required: false
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const { database, riotApi } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const riotId = this.parseRiotId(interaction.options.getString('player'));
+    if (!riotId) {
+      return this.sendError(interaction, 'Invalid Riot ID format. Use: Name#TAG');
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    if (!player) {
+      return this.sendError(interaction, `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.`);
+    }
+
+    const pageSize = config.history.pageSize;
+    const totalMatches = database.getMatchHistoryCount(player.puuid);
+    const totalPages = Math.max(1, Math.ceil(totalMatches / pageSize));
+    const page = Math.min(Math.max(1, interaction.options.getInteger('page') || 1), totalPages);
+
+    // Stored champion names are Data Dragon keys (e.g. MonkeyKing), so map them to display names
+    const matches = database.getMatchHistory(player.puuid, pageSize, (page - 1) * pageSize)
+      .map(match => ({ ...match, champion_name: riotApi.staticData.getChampionName(match.champion_name) }));
+    const embed = EmbedUtils.createHistoryEmbed(player, matches, page, totalPages, totalMatches);
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+}
+
+module.exports = HistoryCommand;
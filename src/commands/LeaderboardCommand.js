@@ -0,0 +1,129 @@
+/**
+ * Leaderboard Command
+ * Ranks the guild's tracked players by a chosen metric from stored data
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+const RankUtils = require('../utils/RankUtils');
+
+// Metric definitions for match-based leaderboards
+const MATCH_METRICS = {
+  winrate: {
+    label: 'Win Rate',
+    value: row => row.wins / row.games,
+    format: row => `${((row.wins / row.games) * 100).toFixed(1)}% (${row.wins}W ${row.games - row.wins}L)`
+  },
+  kda: {
+    label: 'KDA',
+    value: row => (row.kills + row.assists) / Math.max(1, row.deaths),
+    format: row => `${((row.kills + row.assists) / Math.max(1, row.deaths)).toFixed(2)} (${row.games} games)`
+  },
+  games: {
+    label: 'Games Played',
+    value: row => row.games,
+    format: row => `${row.games} games`
+  },
+  damage: {
+    label: 'Damage per Minute',
+    value: row => row.damage_per_minute,
+    format: row => `${Math.round(row.damage_per_minute)} DPM (${row.games} games)`
+  }
+};
+
+class LeaderboardCommand extends BaseCommand {
+  constructor() {
+    super('leaderboard', 'Rank tracked players in this server', [
+      {
+        type: 'string',
+        name: 'metric',
+        description: 'What to rank by',
+        required: true,
+        choices: [
+          { name: 'Win Rate', value: 'winrate' },
+          { name: 'KDA', value: 'kda' },
+          { name: 'Games Played', value: 'games' },
+          { name: 'Damage per Minute', value: 'damage' },
+          { name: 'LP (Solo/Duo)', value: 'lp' }
+        ]
+      },
+      {
+        type: 'string',
+        name: 'period',
+        description: 'Time period (default: last 7 days)',
+        required: false,
+        choices: config.getPeriodChoices().filter(choice => choice.value !== 'all')
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const { database } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const metric = interaction.options.getString('metric');
+    const period = interaction.options.getString('period') || 'week';
+    const since = config.getPeriodStart(period);
+
+    const result = metric === 'lp'
+      ? this.rankByLp(database, interaction.guildId, since, config.leaderboard.minGames[period])
+      : this.rankByMatches(database, interaction.guildId, since, metric, config.leaderboard.minGames[period]);
+
+    const embed = EmbedUtils.createLeaderboardEmbed(
+      result.title,
+      result.entries.slice(0, config.leaderboard.size),
+      config.periods[period],
+      result.note
+    );
+
+    await interaction.reply({ embeds: [embed] });
+  }
+
+  /**
+   * Rank players by a stored match aggregate
+   * @private
+   */
+  rankByMatches(database, guildId, since, metric, minGames) {
+    const definition = MATCH_METRICS[metric];
+    const rows = database.getGuildLeaderboard(guildId, since)
+      .filter(row => row.games >= minGames)
+      .sort((a, b) => definition.value(b) - definition.value(a) || b.games - a.games);
+
+    return {
+      title: definition.label,
+      entries: rows.map(row => ({
+        name: `${row.game_name}#${row.tag_line}`,
+        value: definition.format(row)
+      })),
+      note: `Minimum ${minGames} game${minGames === 1 ? '' : 's'} in period`
+    };
+  }
+
+  /**
+   * Rank players by their latest Solo/Duo snapshot, showing LP gained in the period
+   * Only players ranked during the period with enough games in it are listed.
+   * @private
+   */
+  rankByLp(database, guildId, since, minGames) {
+    const games = new Map(database.getGuildLeaderboard(guildId, since).map(row => [row.puuid, row.games]));
+    const rows = database.getGuildLatestRanks(guildId)
+      .filter(row => row.created_at >= since && (games.get(row.puuid) || 0) >= minGames)
+      .map(row => ({ ...row, score: RankUtils.toScore(row) }))
+      .filter(row => row.score !== null)
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      title: 'LP (Solo/Duo)',
+      entries: rows.map(row => {
+        const baseline = database.getRankSnapshotAt(row.puuid, since);
+        const diff = baseline ? row.score - RankUtils.toScore(baseline) : 0;
+        return {
+          name: `${row.game_name}#${row.tag_line}`,
+          value: `${RankUtils.format(row)} (${RankUtils.formatDiff(diff)})`
+        };
+      }),
+      note: `Based on ranks recorded after ranked games, minimum ${minGames} game${minGames === 1 ? '' : 's'} in period`
+    };
+  }
+}
+
+module.exports = LeaderboardCommand;
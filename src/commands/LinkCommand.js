@@ -0,0 +1,262 @@
+/**
+ * Link Command
+ * Lets members claim the tracked Riot accounts they own, so posts can mention them
+ * and their accounts can be combined in /stats
+ */
+const BaseCommand = require('./BaseCommand');
+const LinkUtils = require('../utils/LinkUtils');
+
+const PLAYER_OPTION = {
+  type: 'string',
+  name: 'player',
+  description: 'Tracked Riot ID (format: Name#TAG)',
+  required: true
+};
+
+// Subcommands only admins can run; the command itself is open to every member
+const ADMIN_SUBCOMMANDS = ['approve', 'reject', 'set'];
+
+class LinkCommand extends BaseCommand {
+  constructor() {
+    super('link', 'Link your Discord account to the Riot accounts you play on', [
+      {
+        type: 'subcommand',
+        name: 'claim',
+        description: 'Claim a tracked Riot account as yours',
+        options: [PLAYER_OPTION]
+      },
+      {
+        type: 'subcommand',
+        name: 'unlink',
+        description: 'Remove the link to a Riot account (admins can remove any link)',
+        options: [PLAYER_OPTION]
+      },
+      {
+        type: 'subcommand',
+        name: 'approve',
+        description: 'Approve a member\'s claim (admin only)',
+        options: [PLAYER_OPTION]
+      },
+      {
+        type: 'subcommand',
+        name: 'reject',
+        description: 'Reject a member\'s claim (admin only)',
+        options: [PLAYER_OPTION]
+      },
+      {
+        type: 'subcommand',
+        name: 'set',
+        description: 'Link a Riot account to a member directly (admin only)',
+        options: [
+          PLAYER_OPTION,
+          {
+            type: 'user',
+            name: 'member',
+            description: 'Member who owns the account',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'list',
+        description: 'List linked members and claims waiting for approval'
+      }
+    ]);
+    this.defaultMemberPermissions = null;
+  }
+
+  async execute(interaction, services) {
+    const { database } = services;
+
+    if (!database.getGuildConfig(interaction.guildId)) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    if (ADMIN_SUBCOMMANDS.includes(subcommand) && !this.isAdmin(interaction)) {
+      return this.sendError(interaction, 'Only administrators can do that.');
+    }
+
+    switch (subcommand) {
+      case 'claim':
+        return this.claim(interaction, services);
+      case 'unlink':
+        return this.unlink(interaction, services);
+      case 'approve':
+        return this.approve(interaction, services);
+      case 'reject':
+        return this.reject(interaction, services);
+      case 'set':
+        return this.setLink(interaction, services);
+      case 'list':
+        return this.listLinks(interaction, services);
+      default:
+        return this.sendError(interaction, `Unknown subcommand: ${subcommand}`);
+    }
+  }
+
+  /**
+   * Check whether the member running the command is an administrator
+   * @private
+   */
+  isAdmin(interaction) {
+    const { PermissionFlagsBits } = require('discord.js');
+    return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator));
+  }
+
+  /**
+   * Find the tracked player named by the player option
+   * @returns {Object} - { player, link, error }
+   * @private
+   */
+  getPlayer(interaction, database) {
+    const riotId = this.parseRiotId(interaction.options.getString('player'));
+    if (!riotId) {
+      return { error: 'Invalid Riot ID format. Use: Name#TAG' };
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    if (!player) {
+      return { error: `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.` };
+    }
+
+    return { player, link: database.getMemberLink(interaction.guildId, player.puuid) };
+  }
+
+  /**
+   * Claim an account, linked right away or after an admin approves it
+   * @private
+   */
+  async claim(interaction, services) {
+    const { database } = services;
+
+    const { player, link, error } = this.getPlayer(interaction, database);
+    if (error) {
+      return this.sendError(interaction, error);
+    }
+
+    const name = `${player.game_name}#${player.tag_line}`;
+    const userId = interaction.user.id;
+
+    if (link && link.discord_user_id === userId) {
+      return this.sendError(interaction, link.approved
+        ? `**${name}** is already linked to you.`
+        : `Your claim on **${name}** is waiting for an admin.`);
+    }
+    if (link && link.approved) {
+      return this.sendError(interaction, `**${name}** is linked to another member. Ask an admin if it's yours.`);
+    }
+    if (link) {
+      return this.sendError(interaction, `Another member's claim on **${name}** is waiting for an admin. Ask an admin if it's yours.`);
+    }
+
+    const { mode } = LinkUtils.getSettings(database.getGuildConfig(interaction.guildId));
+    const approved = mode === 'self';
+    database.setMemberLink(interaction.guildId, player.puuid, userId, approved);
+
+    await this.sendSuccess(interaction, approved ? 'Account Linked!' : 'Claim Sent!', approved
+      ? `**${name}** is now linked to you.`
+      : `An admin needs to approve your claim on **${name}** with \`/link approve\`.`);
+  }
+
+  /**
+   * Remove a link: members can remove their own, admins any
+   * @private
+   */
+  async unlink(interaction, services) {
+    const { database } = services;
+
+    const { player, link, error } = this.getPlayer(interaction, database);
+    if (error) {
+      return this.sendError(interaction, error);
+    }
+
+    const name = `${player.game_name}#${player.tag_line}`;
+    if (!link) {
+      return this.sendError(interaction, `**${name}** is not linked to anyone.`);
+    }
+    if (link.discord_user_id !== interaction.user.id && !this.isAdmin(interaction)) {
+      return this.sendError(interaction, `**${name}** is linked to another member.`);
+    }
+
+    database.deleteMemberLink(interaction.guildId, player.puuid);
+    await this.sendSuccess(interaction, 'Account Unlinked!', `**${name}** is no longer linked to <@${link.discord_user_id}>.`);
+  }
+
+  /**
+   * Approve a pending claim
+   * @private
+   */
+  async approve(interaction, services) {
+    const { database } = services;
+
+    const { player, link, error } = this.getPlayer(interaction, database);
+    if (error) {
+      return this.sendError(interaction, error);
+    }
+
+    const name = `${player.game_name}#${player.tag_line}`;
+    if (!link || link.approved) {
+      return this.sendError(interaction, `There is no claim waiting for **${name}**.`);
+    }
+
+    database.approveMemberLink(interaction.guildId, player.puuid);
+    await this.sendSuccess(interaction, 'Claim Approved!', `**${name}** is now linked to <@${link.discord_user_id}>.`);
+  }
+
+  /**
+   * Reject a pending claim
+   * @private
+   */
+  async reject(interaction, services) {
+    const { database } = services;
+
+    const { player, link, error } = this.getPlayer(interaction, database);
+    if (error) {
+      return this.sendError(interaction, error);
+    }
+
+    const name = `${player.game_name}#${player.tag_line}`;
+    if (!link || link.approved) {
+      return this.sendError(interaction, `There is no claim waiting for **${name}**.`);
+    }
+
+    database.deleteMemberLink(interaction.guildId, player.puuid);
+    await this.sendSuccess(interaction, 'Claim Rejected!', `<@${link.discord_user_id}>'s claim on **${name}** was rejected.`);
+  }
+
+  /**
+   * Link an account to a member without a claim, replacing any existing link
+   * @private
+   */
+  async setLink(interaction, services) {
+    const { database } = services;
+
+    const { player, error } = this.getPlayer(interaction, database);
+    if (error) {
+      return this.sendError(interaction, error);
+    }
+
+    const member = interaction.options.getUser('member');
+    database.setMemberLink(interaction.guildId, player.puuid, member.id, true);
+
+    await this.sendSuccess(interaction, 'Account Linked!', `**${player.game_name}#${player.tag_line}** is now linked to ${member}.`);
+  }
+
+  /**
+   * List linked members and pending claims
+   * @private
+   */
+  async listLinks(interaction, services) {
+    const { database } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const { members, pending } = LinkUtils.groupByMember(database.getMemberLinks(interaction.guildId));
+    const embed = EmbedUtils.createMemberLinkListEmbed(members, pending);
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+}
+
+module.exports = LinkCommand;
@@ -2,15 +2,13 @@
  * Rate Limit Status Command
  * Shows detailed information about the rate limiter status and metrics
  */
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { EmbedBuilder } = require('discord.js');
 const BaseCommand = require('./BaseCommand');
+const EmbedUtils = require('../utils/EmbedBuilder');
 
 class RateLimitCommand extends BaseCommand {
   constructor() {
-    super();
-    this.data = new SlashCommandBuilder()
-      .setName('ratelimit')
-      .setDescription('Show rate limiter status and API usage metrics');
+    super('ratelimit', 'Show rate limiter status and API usage metrics');
   }
 
   async execute(interaction, services) {
@@ -38,8 +36,7 @@ class RateLimitCommand extends BaseCommand {
           },
           {
             name: '⏱️ Rate Limits',
-            value: `**Last Second:** ${status.requestsLastSecond}/${riotApi.rateLimiter.requestsPerSecond}\n` +
-                   `**Last 2 Minutes:** ${status.requestsLastTwoMinutes}/${riotApi.rateLimiter.requestsPerTwoMinutes}\n` +
+            value: `**Usage:** ${(status.utilization * 100).toFixed(0)}% of the fullest limit\n` +
                    `**Processing:** ${status.isProcessing ? '✅ Yes' : '❌ No'}`,
             inline: true
           },
@@ -56,7 +53,7 @@ class RateLimitCommand extends BaseCommand {
             value: `**Consecutive Errors:** ${status.consecutiveErrors}\n` +
                    `**Rate Limit Hits:** ${metrics.rateLimitHits}\n` +
                    `**Backoff Multiplier:** ${status.backoffMultiplier.toFixed(2)}x\n` +
-                   `**Cache Size:** ${status.cacheSize} entries`,
+                   `**Cache Size:** ${status.cacheSize} entries (${(status.cache.bytes / 1024 / 1024).toFixed(1)}/${(status.cache.maxBytes / 1024 / 1024).toFixed(0)} MB)`,
             inline: true
           },
           {
@@ -65,24 +62,30 @@ class RateLimitCommand extends BaseCommand {
                    `**Uptime:** ${Math.floor(metrics.uptime / 1000 / 60)} minutes\n` +
                    `**Failed Requests:** ${metrics.failedRequests}`,
             inline: true
+          },
+          {
+            name: '🪣 Buckets (used/limit per window)',
+            value: EmbedUtils.formatRateLimitBuckets(status.buckets),
+            inline: false
           }
         );
 
       // Add warning if approaching limits
-      if (status.requestsLastSecond > riotApi.rateLimiter.requestsPerSecond * 0.8) {
+      if (status.utilization > 0.8) {
         embed.setColor(0xffaa00);
         embed.addFields({
           name: '⚠️ Warning',
-          value: 'Approaching per-second rate limit!',
+          value: 'Approaching a rate limit!',
           inline: false
         });
       }
 
-      if (status.requestsLastTwoMinutes > riotApi.rateLimiter.requestsPerTwoMinutes * 0.8) {
+      const blocked = status.buckets.filter(bucket => bucket.blockedFor > 0);
+      if (blocked.length > 0) {
         embed.setColor(0xff0000);
         embed.addFields({
           name: '🚨 Critical',
-          value: 'Approaching per-2-minute rate limit!',
+          value: `Rate limited by Riot: ${blocked.map(bucket => `\`${bucket.key}\``).join(', ')}`,
           inline: false
         });
       }
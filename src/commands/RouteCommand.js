@@ -0,0 +1,208 @@
+/**
+ * Route Command
+ * Sends match results, rank changes or live games to their own channels,
+ * optionally only for one queue or one player
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+const RankUtils = require('../utils/RankUtils');
+
+const ROUTE_FILTER_OPTIONS = [
+  {
+    type: 'string',
+    name: 'queue',
+    description: 'Only games in this queue (default: every queue)',
+    required: false,
+    choices: config.getQueueChoices()
+  },
+  {
+    type: 'string',
+    name: 'player',
+    description: 'Only this tracked player, Riot ID (format: Name#TAG)',
+    required: false
+  }
+];
+
+class RouteCommand extends BaseCommand {
+  constructor() {
+    super('route', 'Post different kinds of updates in different channels', [
+      {
+        type: 'subcommand',
+        name: 'set',
+        description: 'Send a kind of update to a channel',
+        options: [
+          {
+            type: 'string',
+            name: 'event',
+            description: 'Kind of update',
+            required: true,
+            choices: config.getRouteEventChoices()
+          },
+          {
+            type: 'channel',
+            name: 'channel',
+            description: 'Channel to post in',
+            required: true
+          },
+          ...ROUTE_FILTER_OPTIONS
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'clear',
+        description: 'Send a kind of update back to the default channel',
+        options: [
+          {
+            type: 'string',
+            name: 'event',
+            description: 'Kind of update',
+            required: true,
+            choices: config.getRouteEventChoices()
+          },
+          ...ROUTE_FILTER_OPTIONS
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'list',
+        description: 'List channel routes'
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const { database } = services;
+
+    if (!database.getGuildConfig(interaction.guildId)) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'set':
+        return this.setRoute(interaction, services);
+      case 'clear':
+        return this.clearRoute(interaction, services);
+      case 'list':
+        return this.listRoutes(interaction, services);
+      default:
+        return this.sendError(interaction, `Unknown subcommand: ${subcommand}`);
+    }
+  }
+
+  /**
+   * Read the event, queue and player options shared by set and clear
+   * @returns {Object} - { eventType, queueGroup, player, error }
+   * @private
+   */
+  getRouteTarget(interaction, database) {
+    const eventType = interaction.options.getString('event');
+    const queueGroup = interaction.options.getString('queue');
+    const playerOption = interaction.options.getString('player');
+
+    if (queueGroup && eventType === 'rank' && !config.queues.groups[queueGroup].queueIds.some(queueId => RankUtils.getQueueType(queueId))) {
+      return { error: 'Rank changes only happen in ranked queues.' };
+    }
+
+    let player = null;
+    if (playerOption) {
+      const riotId = this.parseRiotId(playerOption);
+      if (!riotId) {
+        return { error: 'Invalid Riot ID format. Use: Name#TAG' };
+      }
+
+      player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+      if (!player) {
+        return { error: `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.` };
+      }
+    }
+
+    return { eventType, queueGroup, player };
+  }
+
+  /**
+   * Describe a route target, e.g. "Match results (ARAM, Name#TAG)"
+   * @private
+   */
+  describeTarget({ eventType, queueGroup, player }) {
+    const filters = [
+      ...(queueGroup ? [config.queues.groups[queueGroup]?.label || queueGroup] : []),
+      ...(player ? [`${player.game_name}#${player.tag_line}`] : [])
+    ];
+    const label = config.routing.events[eventType];
+    return filters.length > 0 ? `${label} (${filters.join(', ')})` : label;
+  }
+
+  /**
+   * Add or replace a route
+   * @private
+   */
+  async setRoute(interaction, services) {
+    const { database } = services;
+
+    const target = this.getRouteTarget(interaction, database);
+    if (target.error) {
+      return this.sendError(interaction, target.error);
+    }
+
+    const channel = interaction.options.getChannel('channel');
+    database.setChannelRoute(interaction.guildId, target.eventType, target.queueGroup, target.player?.puuid, channel.id);
+
+    await this.sendSuccess(
+      interaction,
+      'Route Saved!',
+      `**${this.describeTarget(target)}** will be posted in ${channel}.`
+    );
+  }
+
+  /**
+   * Remove a route
+   * @private
+   */
+  async clearRoute(interaction, services) {
+    const { database } = services;
+
+    const target = this.getRouteTarget(interaction, database);
+    if (target.error) {
+      return this.sendError(interaction, target.error);
+    }
+
+    const result = database.deleteChannelRoute(interaction.guildId, target.eventType, target.queueGroup, target.player?.puuid);
+    if (result.changes === 0) {
+      return this.sendError(interaction, `There is no route for **${this.describeTarget(target)}**.`);
+    }
+
+    await this.sendSuccess(
+      interaction,
+      'Route Removed!',
+      `**${this.describeTarget(target)}** will be posted in the default channel.`
+    );
+  }
+
+  /**
+   * List the guild's routes
+   * @private
+   */
+  async listRoutes(interaction, services) {
+    const { database } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    const players = new Map(database.getPlayers(interaction.guildId).map(player => [player.puuid, player]));
+
+    const routes = database.getChannelRoutes(interaction.guildId).map(route => ({
+      label: this.describeTarget({
+        eventType: route.event_type,
+        queueGroup: route.queue_group,
+        player: players.get(route.puuid)
+      }),
+      channelId: route.channel_id
+    }));
+
+    const embed = EmbedUtils.createRouteListEmbed(routes, guildConfig.channel_id);
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+}
+
+module.exports = RouteCommand;
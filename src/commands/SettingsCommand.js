@@ -0,0 +1,336 @@
+/**
+ * Settings Command
+ * Changes per-guild settings: which queues get posted, which highlights are shown,
+ * which streaks are announced, when recaps are posted and how linked members are shown
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+const QueueUtils = require('../utils/QueueUtils');
+const HighlightRules = require('../utils/HighlightRules');
+const StreakUtils = require('../utils/StreakUtils');
+const TimeUtils = require('../utils/TimeUtils');
+const RecapScheduler = require('../services/RecapScheduler');
+const LinkUtils = require('../utils/LinkUtils');
+
+class SettingsCommand extends BaseCommand {
+  constructor() {
+    super('settings', 'Change what the bot posts in this server', [
+      {
+        type: 'subcommand',
+        name: 'queues',
+        description: 'Choose which queues get posted (no options shows the current selection)',
+        options: Object.entries(config.queues.groups).map(([group, { label }]) => ({
+          type: 'boolean',
+          name: group,
+          description: `Post ${label} games`,
+          required: false
+        }))
+      },
+      {
+        type: 'subcommand',
+        name: 'highlights',
+        description: 'Turn highlight badges on or off (no options shows the current selection)',
+        options: HighlightRules.getRules().map(rule => ({
+          type: 'boolean',
+          name: rule.id,
+          description: `${rule.badge} ${rule.label}${rule.separatePost ? ' (also posted on their own)' : ''}`,
+          required: false
+        }))
+      },
+      {
+        type: 'subcommand',
+        name: 'streaks',
+        description: 'Choose which streaks get announced (no options shows the current settings)',
+        options: [
+          {
+            type: 'integer',
+            name: 'wins',
+            description: `Announce every N wins in a row, 0 turns it off (default: ${config.streaks.winThreshold})`,
+            required: false,
+            minValue: 0,
+            maxValue: 50
+          },
+          {
+            type: 'integer',
+            name: 'losses',
+            description: `Announce every N losses in a row, 0 turns it off (default: ${config.streaks.lossThreshold})`,
+            required: false,
+            minValue: 0,
+            maxValue: 50
+          }
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'recaps',
+        description: 'Choose when weekly and monthly recaps are posted (no options shows the current schedule)',
+        options: [
+          {
+            type: 'string',
+            name: 'schedule',
+            description: 'Which recaps to post',
+            required: false,
+            choices: config.getRecapScheduleChoices()
+          },
+          {
+            type: 'integer',
+            name: 'weekday',
+            description: 'Day weekly recaps are posted',
+            required: false,
+            choices: TimeUtils.getWeekdayChoices()
+          },
+          {
+            type: 'integer',
+            name: 'hour',
+            description: 'Hour recaps are posted (0-23)',
+            required: false,
+            minValue: 0,
+            maxValue: 23
+          },
+          {
+            type: 'string',
+            name: 'timezone',
+            description: 'IANA timezone, e.g. America/Sao_Paulo or Europe/Berlin',
+            required: false
+          }
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'links',
+        description: 'Choose how members link accounts and show up in posts (no options shows the current settings)',
+        options: [
+          {
+            type: 'string',
+            name: 'mode',
+            description: 'How /link claims are handled',
+            required: false,
+            choices: config.getLinkModeChoices()
+          },
+          {
+            type: 'string',
+            name: 'display',
+            description: 'How linked members show up in match posts',
+            required: false,
+            choices: config.getMemberDisplayChoices()
+          }
+        ]
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'queues':
+        return this.setQueues(interaction, services);
+      case 'highlights':
+        return this.setHighlights(interaction, services);
+      case 'streaks':
+        return this.setStreaks(interaction, services);
+      case 'recaps':
+        return this.setRecaps(interaction, services);
+      case 'links':
+        return this.setLinks(interaction, services);
+      default:
+        return this.sendError(interaction, `Unknown subcommand: ${subcommand}`);
+    }
+  }
+
+  /**
+   * Turn queue groups on or off, keeping the ones that were not given
+   * @private
+   */
+  async setQueues(interaction, services) {
+    const { database } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const current = QueueUtils.getGuildQueueGroups(guildConfig);
+    const changes = Object.keys(config.queues.groups)
+      .map(group => ({ group, enabled: interaction.options.getBoolean(group) }))
+      .filter(change => change.enabled !== null);
+
+    const formatGroups = groups => groups.map(group => config.queues.groups[group].label).join(', ');
+
+    if (changes.length === 0) {
+      return this.sendSuccess(interaction, 'Queues Posted', `**Queues:** ${formatGroups(current)}`);
+    }
+
+    // Keep the order of config.queues.groups so the stored value is stable
+    const selected = Object.keys(config.queues.groups).filter(group => {
+      const change = changes.find(c => c.group === group);
+      return change ? change.enabled : current.includes(group);
+    });
+
+    if (selected.length === 0) {
+      return this.sendError(interaction, 'At least one queue must stay enabled.');
+    }
+
+    database.setGuildQueues(interaction.guildId, selected);
+
+    await this.sendSuccess(
+      interaction,
+      'Queues Updated!',
+      `**Queues:** ${formatGroups(selected)}\n\nOnly games finished from now on are posted.`
+    );
+  }
+
+  /**
+   * Turn highlight rules on or off, keeping the ones that were not given
+   * @private
+   */
+  async setHighlights(interaction, services) {
+    const { database } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const rules = HighlightRules.getRules();
+    const enabled = HighlightRules.getEnabledRuleIds(guildConfig);
+    const formatRules = ruleIds => rules
+      .map(rule => `${ruleIds.includes(rule.id) ? '✅' : '❌'} ${rule.badge} ${rule.label}`)
+      .join('\n');
+
+    const changes = rules
+      .map(rule => ({ id: rule.id, enabled: interaction.options.getBoolean(rule.id) }))
+      .filter(change => change.enabled !== null);
+
+    if (changes.length === 0) {
+      return this.sendSuccess(interaction, 'Highlights', formatRules(enabled));
+    }
+
+    const selected = rules.map(rule => rule.id).filter(id => {
+      const change = changes.find(c => c.id === id);
+      return change ? change.enabled : enabled.includes(id);
+    });
+
+    database.setGuildDisabledHighlights(
+      interaction.guildId,
+      rules.map(rule => rule.id).filter(id => !selected.includes(id))
+    );
+
+    await this.sendSuccess(interaction, 'Highlights Updated!', formatRules(selected));
+  }
+
+  /**
+   * Change the win and loss streak thresholds, keeping the one that was not given
+   * @private
+   */
+  async setStreaks(interaction, services) {
+    const { database } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const current = StreakUtils.getThresholds(guildConfig);
+    const formatThreshold = (threshold, noun) => threshold > 0 ? `every ${threshold} ${noun} in a row` : 'off';
+    const formatThresholds = ({ win, loss }) =>
+      `**Win streaks:** ${formatThreshold(win, 'wins')}\n**Loss streaks:** ${formatThreshold(loss, 'losses')}`;
+
+    const wins = interaction.options.getInteger('wins');
+    const losses = interaction.options.getInteger('losses');
+
+    if (wins === null && losses === null) {
+      return this.sendSuccess(interaction, 'Streak Announcements', formatThresholds(current));
+    }
+
+    const updated = {
+      win: wins ?? current.win,
+      loss: losses ?? current.loss
+    };
+    database.setGuildStreakThresholds(interaction.guildId, updated.win, updated.loss);
+
+    await this.sendSuccess(interaction, 'Streak Announcements Updated!', formatThresholds(updated));
+  }
+
+  /**
+   * Change the recap schedule, hour and timezone, keeping the ones that were not given
+   * @private
+   */
+  async setRecaps(interaction, services) {
+    const { database } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const current = RecapScheduler.getSettings(guildConfig);
+    const formatSettings = ({ schedule, weekday, hour, timezone }) => {
+      const types = RecapScheduler.getTypes(schedule);
+      const time = `${String(hour).padStart(2, '0')}:00 (${timezone})`;
+      const lines = [`**Recaps:** ${config.recaps.schedules[schedule]}`];
+      if (types.includes('weekly')) lines.push(`**Weekly:** ${TimeUtils.getWeekdayName(weekday)}s at ${time}`);
+      if (types.includes('monthly')) lines.push(`**Monthly:** the 1st at ${time}`);
+      return lines.join('\n');
+    };
+
+    const changes = {
+      schedule: interaction.options.getString('schedule'),
+      weekday: interaction.options.getInteger('weekday'),
+      hour: interaction.options.getInteger('hour'),
+      timezone: interaction.options.getString('timezone')?.trim() || null
+    };
+
+    if (Object.values(changes).every(value => value === null)) {
+      return this.sendSuccess(interaction, 'Recaps', formatSettings(current));
+    }
+
+    if (changes.timezone && !TimeUtils.isValidTimezone(changes.timezone)) {
+      return this.sendError(interaction, `Unknown timezone "${changes.timezone}". Use an IANA name like America/Sao_Paulo.`);
+    }
+
+    const updated = {
+      schedule: changes.schedule ?? current.schedule,
+      weekday: changes.weekday ?? current.weekday,
+      hour: changes.hour ?? current.hour,
+      timezone: changes.timezone ?? current.timezone
+    };
+    database.setGuildRecapSchedule(interaction.guildId, updated);
+
+    await this.sendSuccess(interaction, 'Recaps Updated!', formatSettings(updated));
+  }
+
+  /**
+   * Change the link mode and member display, keeping the one that was not given
+   * @private
+   */
+  async setLinks(interaction, services) {
+    const { database } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const current = LinkUtils.getSettings(guildConfig);
+    const formatSettings = ({ mode, display }) =>
+      `**Claims:** ${config.links.modes[mode]}\n**In match posts:** ${config.links.displays[display]}`;
+
+    const mode = interaction.options.getString('mode');
+    const display = interaction.options.getString('display');
+
+    if (mode === null && display === null) {
+      return this.sendSuccess(interaction, 'Member Links', formatSettings(current));
+    }
+
+    const updated = {
+      mode: mode ?? current.mode,
+      display: display ?? current.display
+    };
+    database.setGuildMemberLinkSettings(interaction.guildId, updated.mode, updated.display);
+
+    await this.sendSuccess(interaction, 'Member Links Updated!', formatSettings(updated));
+  }
+}
+
+module.exports = SettingsCommand;
@@ -3,6 +3,8 @@
  * Handles bot configuration and player setup
  */
 const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+const QueueUtils = require('../utils/QueueUtils');
 
 class SetupCommand extends BaseCommand {
   constructor() {
@@ -18,6 +20,13 @@ class SetupCommand extends BaseCommand {
         name: 'riot_ids',
         description: 'Comma-separated Riot IDs (format: Name#TAG,Name2#TAG2)',
         required: true
+      },
+      {
+        type: 'string',
+        name: 'platform',
+        description: `Server the players are on (default: the one already set up, or ${config.riot.platform.toUpperCase()})`,
+        required: false,
+        choices: config.getPlatformChoices()
       }
     ]);
   }
@@ -28,6 +37,9 @@ class SetupCommand extends BaseCommand {
 
     const channel = interaction.options.getChannel('channel');
     const riotIdsString = interaction.options.getString('riot_ids');
+    // Re-running setup keeps the guild's platform and queue selection
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    const platform = interaction.options.getString('platform') || guildConfig?.platform || config.riot.platform;
 
     // Parse Riot IDs
     const riotIds = riotIdsString.split(',').map(id => {
@@ -41,6 +53,8 @@ class SetupCommand extends BaseCommand {
 
     await interaction.deferReply({ ephemeral: true });
 
+    const queueFilter = QueueUtils.getMatchListFilter(QueueUtils.getGuildQueueIds(guildConfig));
+
     // Get PUUIDs
     const players = [];
     for (const { gameName, tagLine } of riotIds) {
@@ -49,8 +63,9 @@ class SetupCommand extends BaseCommand {
         players.push({ gameName, tagLine, puuid });
         
         // Initialize last match tracking
-        const match = await riotApi.getLastMatch(puuid);
+        const match = await riotApi.getLastMatch(puuid, 1, platform, queueFilter);
         if (match) {
+          database.saveMatch(match);
           database.setLastMatch(interaction.guildId, puuid, match.matchId);
         }
       }
@@ -63,16 +78,22 @@ class SetupCommand extends BaseCommand {
     // Save to database
     const transaction = database.transaction(() => {
       database.setGuildConfig(interaction.guildId, channel.id);
+      database.setGuildPlatform(interaction.guildId, platform);
+      // Players left out of the new list are removed the way /track remove does it
+      const puuids = new Set(players.map(player => player.puuid));
+      for (const player of database.getPlayers(interaction.guildId)) {
+        if (!puuids.has(player.puuid)) database.removePlayer(interaction.guildId, player.puuid);
+      }
       database.deleteGuildPlayers(interaction.guildId);
       for (const player of players) {
-        database.addPlayer(interaction.guildId, player.gameName, player.tagLine, player.puuid);
+        database.addPlayer(interaction.guildId, player.gameName, player.tagLine, player.puuid, platform);
       }
     });
     transaction();
 
     const embed = EmbedUtils.createSuccessEmbed(
       'Configuration Saved!',
-      `**Channel:** ${channel}\n**Players tracked:** ${players.length}\n\n🔄 Auto-posting enabled - new matches will be posted automatically!\n\nUse /check to manually fetch matches.`
+      `**Channel:** ${channel}\n**Platform:** ${platform.toUpperCase()}\n**Players tracked:** ${players.length}\n\n🔄 Auto-posting enabled - new matches will be posted automatically!\n\nUse /check to manually fetch matches.`
     );
 
     await interaction.editReply({ embeds: [embed] });
@@ -0,0 +1,95 @@
+/**
+ * Stats Command
+ * Shows aggregated statistics for a tracked player, or every account of a linked member,
+ * from stored matches
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+
+class StatsCommand extends BaseCommand {
+  constructor() {
+    super('stats', 'Show win rate, KDA and champion statistics for a tracked player', [
+      {
+        type: 'string',
+        name: 'player',
+        description: 'Riot ID (format: Name#TAG)',
+        required: false
+      },
+      {
+        type: 'user',
+        name: 'member',
+        description: 'Linked member, combining all of their accounts',
+        required: false
+      },
+      {
+        type: 'string',
+        name: 'period',
+        description: 'Time period (default: all time)',
+        required: false,
+        choices: config.getPeriodChoices()
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const { database, riotApi } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const subject = this.getSubject(interaction, database);
+    if (subject.error) {
+      return this.sendError(interaction, subject.error);
+    }
+
+    const period = interaction.options.getString('period') || 'all';
+    const since = config.getPeriodStart(period);
+    const puuids = subject.players.map(player => player.puuid);
+
+    const stats = database.getPlayerStats(puuids, since);
+    const topChampions = database.getTopChampions(puuids, since, config.history.topChampions)
+      .map(champion => ({ ...champion, champion_name: riotApi.staticData.getChampionName(champion.champion_name) }));
+    const streak = database.getCurrentStreak(puuids, config.streaks.lookback);
+    const longestStreaks = database.getLongestStreaks(puuids, since);
+
+    const embed = EmbedUtils.createStatsEmbed(
+      subject.name, stats, topChampions, streak, config.periods[period], longestStreaks, subject.players
+    );
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * Resolve the player or member option to the tracked players to combine
+   * @returns {Object} - { name, players, error }
+   * @private
+   */
+  getSubject(interaction, database) {
+    const member = interaction.options.getUser('member');
+    const playerOption = interaction.options.getString('player');
+
+    if (member) {
+      const players = database.getMemberPlayers(interaction.guildId, member.id);
+      if (players.length === 0) {
+        return { error: `${member} has no linked accounts in this server. Accounts are linked with /link.` };
+      }
+      return { name: member.globalName || member.username, players };
+    }
+
+    if (!playerOption) {
+      return { error: 'Give a player (Name#TAG) or a linked member.' };
+    }
+
+    const riotId = this.parseRiotId(playerOption);
+    if (!riotId) {
+      return { error: 'Invalid Riot ID format. Use: Name#TAG' };
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    if (!player) {
+      return { error: `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.` };
+    }
+
+    return { name: `${player.game_name}#${player.tag_line}`, players: [player] };
+  }
+}
+
+module.exports = StatsCommand;
@@ -11,28 +11,43 @@ class StatusCommand extends BaseCommand {
   }
 
   async execute(interaction, services) {
-    const { database, riotApi } = services;
+    const { database, riotApi, matchChecker } = services;
     const EmbedUtils = require('../utils/EmbedBuilder');
 
     const status = riotApi.getRateLimiterStatus();
     const guildConfigs = database.getAllGuildConfigs();
     const totalPlayers = database.getTotalPlayerCount();
 
-    // Calculate current dynamic interval
-    const dynamicInterval = config.getDynamicInterval(totalPlayers.total_players);
-
     const stats = {
       guildCount: totalPlayers.guild_count,
       totalPlayers: totalPlayers.total_players,
-      checkInterval: Math.round(dynamicInterval / 1000),
       baseInterval: Math.round(config.intervals.baseCheckInterval / 1000),
-      maxInterval: Math.round(config.intervals.maxCheckInterval / 1000)
+      // Not available until the bot is ready
+      polling: matchChecker ? matchChecker.getPollingBudget() : null,
+      capacityPerMinute: this.getCapacityPerMinute(status)
     };
 
     const embed = EmbedUtils.createStatusEmbed(status, stats);
 
     await interaction.reply({ embeds: [embed], ephemeral: true });
   }
+
+  /**
+   * Get the requests per minute a routing host can sustain under its strictest app limit
+   * Uses limits learned from Riot's headers, or the configured defaults before the first response.
+   * @private
+   */
+  getCapacityPerMinute(status) {
+    const appLimits = status.buckets
+      .filter(bucket => bucket.type === 'app')
+      .flatMap(bucket => bucket.limits);
+    const limits = appLimits.length > 0 ? appLimits : [
+      { count: config.rateLimiting.requestsPerSecond, window: 1000 },
+      { count: config.rateLimiting.requestsPerTwoMinutes, window: 120000 }
+    ];
+
+    return Math.min(...limits.map(limit => limit.count * 60000 / limit.window));
+  }
 }
 
 module.exports = StatusCommand;
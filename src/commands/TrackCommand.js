@@ -0,0 +1,193 @@
+/**
+ * Track Command
+ * Adds, removes and lists tracked players one at a time
+ */
+const BaseCommand = require('./BaseCommand');
+const config = require('../config');
+const QueueUtils = require('../utils/QueueUtils');
+
+class TrackCommand extends BaseCommand {
+  constructor() {
+    super('track', 'Manage tracked players', [
+      {
+        type: 'subcommand',
+        name: 'add',
+        description: 'Start tracking a player',
+        options: [
+          {
+            type: 'string',
+            name: 'riot_id',
+            description: 'Riot ID (format: Name#TAG)',
+            required: true
+          },
+          {
+            type: 'string',
+            name: 'platform',
+            description: 'Server the player is on (default: the server chosen in /setup)',
+            required: false,
+            choices: config.getPlatformChoices()
+          }
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'remove',
+        description: 'Stop tracking a player',
+        options: [
+          {
+            type: 'string',
+            name: 'riot_id',
+            description: 'Riot ID (format: Name#TAG)',
+            required: true
+          }
+        ]
+      },
+      {
+        type: 'subcommand',
+        name: 'list',
+        description: 'List tracked players'
+      },
+      {
+        type: 'subcommand',
+        name: 'move',
+        description: 'Move match updates to another channel',
+        options: [
+          {
+            type: 'channel',
+            name: 'channel',
+            description: 'Channel to post match updates',
+            required: true
+          }
+        ]
+      }
+    ]);
+  }
+
+  async execute(interaction, services) {
+    const subcommand = interaction.options.getSubcommand();
+
+    switch (subcommand) {
+      case 'add':
+        return this.addPlayer(interaction, services);
+      case 'remove':
+        return this.removePlayer(interaction, services);
+      case 'list':
+        return this.listPlayers(interaction, services);
+      case 'move':
+        return this.moveChannel(interaction, services);
+      default:
+        return this.sendError(interaction, `Unknown subcommand: ${subcommand}`);
+    }
+  }
+
+  /**
+   * Add a single player to the guild's tracked list
+   * @private
+   */
+  async addPlayer(interaction, services) {
+    const { database, riotApi } = services;
+
+    const guildConfig = database.getGuildConfig(interaction.guildId);
+    if (!guildConfig) {
+      return this.sendError(interaction, 'Bot not configured. Use /setup or /track move first.');
+    }
+
+    const platform = interaction.options.getString('platform') || guildConfig.platform || config.riot.platform;
+
+    const riotId = this.parseRiotId(interaction.options.getString('riot_id'));
+    if (!riotId) {
+      return this.sendError(interaction, 'Invalid Riot ID format. Use: Name#TAG');
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const puuid = await riotApi.getPuuid(riotId.gameName, riotId.tagLine);
+    if (!puuid) {
+      return this.sendError(interaction, `Could not find **${riotId.gameName}#${riotId.tagLine}**. Please check the name and try again.`);
+    }
+
+    if (database.getPlayer(interaction.guildId, puuid)) {
+      return this.sendError(interaction, `**${riotId.gameName}#${riotId.tagLine}** is already tracked in this server.`);
+    }
+
+    // Initialize last match tracking so old games are not posted
+    const queueFilter = QueueUtils.getMatchListFilter(QueueUtils.getGuildQueueIds(guildConfig));
+    const match = await riotApi.getLastMatch(puuid, 1, platform, queueFilter);
+
+    const transaction = database.transaction(() => {
+      database.addPlayer(interaction.guildId, riotId.gameName, riotId.tagLine, puuid, platform);
+      if (match) {
+        database.saveMatch(match);
+        database.setLastMatch(interaction.guildId, puuid, match.matchId);
+      }
+    });
+    transaction();
+
+    const total = database.getGuildPlayerCount(interaction.guildId);
+    await this.sendSuccess(
+      interaction,
+      'Player Added!',
+      `Now tracking **${riotId.gameName}#${riotId.tagLine}** (${platform.toUpperCase()}).\n**Players tracked:** ${total}`
+    );
+  }
+
+  /**
+   * Remove a single player from the guild's tracked list
+   * @private
+   */
+  async removePlayer(interaction, services) {
+    const { database } = services;
+
+    const riotId = this.parseRiotId(interaction.options.getString('riot_id'));
+    if (!riotId) {
+      return this.sendError(interaction, 'Invalid Riot ID format. Use: Name#TAG');
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    if (!player) {
+      return this.sendError(interaction, `**${riotId.gameName}#${riotId.tagLine}** is not tracked in this server.`);
+    }
+
+    database.removePlayer(interaction.guildId, player.puuid);
+
+    await this.sendSuccess(
+      interaction,
+      'Player Removed!',
+      `Stopped tracking **${player.game_name}#${player.tag_line}**.`
+    );
+  }
+
+  /**
+   * List the guild's tracked players
+   * @private
+   */
+  async listPlayers(interaction, services) {
+    const { database } = services;
+    const EmbedUtils = require('../utils/EmbedBuilder');
+
+    const players = database.getPlayers(interaction.guildId);
+    const guildName = interaction.guild ? interaction.guild.name : 'this server';
+    const embed = EmbedUtils.createPlayerListEmbed(players, guildName);
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  /**
+   * Change the channel match updates are posted to, keeping the player list
+   * @private
+   */
+  async moveChannel(interaction, services) {
+    const { database } = services;
+
+    const channel = interaction.options.getChannel('channel');
+    database.setGuildConfig(interaction.guildId, channel.id);
+
+    await this.sendSuccess(
+      interaction,
+      'Channel Updated!',
+      `Match updates will now be posted in ${channel}.`
+    );
+  }
+}
+
+module.exports = TrackCommand;
@@ -0,0 +1,38 @@
+/**
+ * Unfollow Command
+ * Stops DMs for a player followed with /follow
+ */
+const BaseCommand = require('./BaseCommand');
+
+class UnfollowCommand extends BaseCommand {
+  constructor() {
+    super('unfollow', 'Stop getting a player\'s match results by DM', [
+      {
+        type: 'string',
+        name: 'player',
+        description: 'Riot ID (format: Name#TAG)',
+        required: true
+      }
+    ]);
+    this.defaultMemberPermissions = null;
+  }
+
+  async execute(interaction, services) {
+    const { database } = services;
+
+    const riotId = this.parseRiotId(interaction.options.getString('player'));
+    if (!riotId) {
+      return this.sendError(interaction, 'Invalid Riot ID format. Use: Name#TAG');
+    }
+
+    const player = database.findPlayerByRiotId(interaction.guildId, riotId.gameName, riotId.tagLine);
+    const result = player ? database.deleteFollow(interaction.guildId, player.puuid, interaction.user.id) : null;
+    if (!result || result.changes === 0) {
+      return this.sendError(interaction, `You don't follow **${riotId.gameName}#${riotId.tagLine}** in this server.`);
+    }
+
+    await this.sendSuccess(interaction, 'Unfollowed!', `No more DMs for **${player.game_name}#${player.tag_line}**.`);
+  }
+}
+
+module.exports = UnfollowCommand;
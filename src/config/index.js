@@ -8,7 +8,27 @@ const config = {
   riot: {
     apiKey: process.env.RIOT_API_KEY,
     region: 'americas', // Region for account-v1 (americas, asia, europe, sea)
-    platform: 'br1', // Platform for match data (na1, euw1, kr, etc.)
+    platform: 'br1', // Default platform for players added without one (na1, euw1, kr, etc.)
+    // Platform -> regional route used by match-v5
+    platforms: {
+      br1: 'americas',
+      la1: 'americas',
+      la2: 'americas',
+      na1: 'americas',
+      euw1: 'europe',
+      eun1: 'europe',
+      tr1: 'europe',
+      ru: 'europe',
+      me1: 'europe',
+      kr: 'asia',
+      jp1: 'asia',
+      oc1: 'sea',
+      ph2: 'sea',
+      sg2: 'sea',
+      th2: 'sea',
+      tw2: 'sea',
+      vn2: 'sea'
+    }
   },
 
   // Discord Configuration
@@ -26,6 +46,23 @@ const config = {
   rateLimiting: {
     requestsPerSecond: 18, // 18 instead of 20 for safety margin
     requestsPerTwoMinutes: 95, // 95 instead of 100 for safety margin
+    // Used until Riot's X-App-Rate-Limit header is seen; limits read from headers are scaled by safetyFactor
+    safetyFactor: 0.9,
+    persistInterval: 1000, // Save request times to the database at most once per second
+  },
+
+  // API response cache, keyed by "<prefix>:..." (see RiotApiService)
+  cache: {
+    maxBytes: 50 * 1024 * 1024, // Memory bound (approximate, by JSON size), least recently used entries go first
+    ttls: {
+      match: Infinity, // Finished matches never change
+      puuid: 3 * 24 * 60 * 60 * 1000, // Riot ID -> PUUID lookups: 3 days
+      matchlist: 10 * 1000, // Must stay well below the check interval, or new games are seen late
+      rank: 60 * 1000,
+      live: 30 * 1000,
+      default: 30 * 1000,
+    },
+    persistentPrefixes: ['match'], // Also kept in SQLite across restarts
   },
 
   // Check Intervals (More conservative)
@@ -34,12 +71,149 @@ const config = {
     maxCheckInterval: 10 * 60 * 1000, // Maximum check interval: 10 minutes (was 5)
   },
 
+  // Adaptive match polling: the match checker runs every baseCheckInterval but only checks
+  // players that are due, based on how recently they played
+  polling: {
+    liveInterval: 60 * 1000, // Fast lane: player was seen in a live game, until the result is posted
+    // By time since the player's last stored match; interval null uses getDynamicInterval (scales with player count)
+    tiers: [
+      { name: 'active', idleFor: 24 * 60 * 60 * 1000, interval: null },
+      { name: 'recent', idleFor: 7 * 24 * 60 * 60 * 1000, interval: 10 * 60 * 1000 },
+      { name: 'inactive', idleFor: 30 * 24 * 60 * 60 * 1000, interval: 30 * 60 * 1000 },
+      { name: 'dormant', idleFor: Infinity, interval: 60 * 60 * 1000 }, // Also players with no stored match yet
+    ],
+    maxPlayersPerCheck: 100, // Most overdue players go first when more are due
+  },
+
   // Batch Processing (Smaller batches)
   batching: {
     autoCheckBatchSize: 8, // Process 8 players at a time (was 20)
     manualCheckBatchSize: 5, // Smaller batches for manual checks (was 10)
   },
 
+  // Data Dragon static data (champion, item, rune and spell names and icons)
+  staticData: {
+    cacheDir: process.env.STATIC_DATA_DIR || './static-data',
+    language: 'en_US',
+    refreshInterval: 6 * 60 * 60 * 1000, // Check for a new patch every 6 hours
+    retryInterval: 5 * 60 * 1000, // Retry sooner when Data Dragon is unreachable
+  },
+
+  // Live game notifications (spectator-v5)
+  liveGames: {
+    enabled: true,
+    checkInterval: 60 * 1000, // How often the live game loop runs
+    idleRecheck: 3 * 60 * 1000, // Wait before re-checking a recently active player who is not in game
+    dormantRecheck: 15 * 60 * 1000, // Wait before re-checking a player who has not played in a while
+    dormantAfter: 7 * 24 * 60 * 60 * 1000, // No stored match for this long counts as dormant
+    maxGameLength: 2 * 60 * 60 * 1000, // Forget live games that never produced a result
+  },
+
+  // Match catch-up between polls
+  matchHistory: {
+    lookback: 20, // Match IDs fetched per check to find the last posted match
+    maxNewMatches: 5, // Max matches posted per player per check (caps backlog after an outage)
+  },
+
+  // Queues a guild can choose to post, grouped the way they are offered in /settings
+  queues: {
+    groups: {
+      ranked_solo: { label: 'Ranked Solo/Duo', queueIds: [420] },
+      ranked_flex: { label: 'Ranked Flex', queueIds: [440] },
+      normal: { label: 'Normals', queueIds: [400, 430, 480, 490] },
+      aram: { label: 'ARAM', queueIds: [450] },
+      arena: { label: 'Arena', queueIds: [1700, 1710] }
+    },
+    defaults: ['ranked_solo', 'ranked_flex'], // Guilds that never picked queues only get ranked games
+  },
+
+  // Post types that can be routed to their own channel with /route
+  routing: {
+    events: {
+      match: 'Match results',
+      rank: 'Rank changes',
+      live: 'Live games',
+      highlight: 'Highlights',
+      streak: 'Streak milestones',
+      recap: 'Weekly and monthly recaps'
+    }
+  },
+
+  // Highlight rule thresholds (rules themselves live in utils/HighlightRules)
+  highlights: {
+    feedingDeaths: 15, // Deaths that count as feeding
+    shortSurrender: 20 * 60, // Surrenders before this many seconds count as very short
+  },
+
+  // Win/loss streaks (thresholds can be changed per guild with /settings streaks)
+  streaks: {
+    winThreshold: 5, // Announce every 5 wins in a row
+    lossThreshold: 6, // Announce every 6 losses in a row
+    footerMin: 2, // Show the streak in the match footer from this many games
+    lookback: 50, // Stored games scanned to find the current streak
+  },
+
+  // Weekly and monthly recaps (schedule and timezone can be changed per guild with /settings recaps)
+  recaps: {
+    schedule: 'both', // weekly, monthly, both or off
+    weekday: 1, // Weekly recaps are posted on Mondays (0 = Sunday)
+    hour: 9, // Posted at 09:00 in the guild's timezone
+    timezone: 'UTC',
+    checkInterval: 5 * 60 * 1000, // How often due recaps are looked for
+    minGames: 3, // Minimum games in the period for best/worst KDA and MVP
+    schedules: {
+      weekly: 'Every week',
+      monthly: 'Every month',
+      both: 'Every week and every month',
+      off: 'Off'
+    }
+  },
+
+  // Discord members linked to tracked Riot accounts (changed per guild with /settings links)
+  links: {
+    mode: 'approval', // How /link claims are handled until a guild picks otherwise
+    display: 'avatar', // How linked members show up in match posts
+    modes: {
+      approval: 'Admins approve claims',
+      self: 'Members link themselves'
+    },
+    displays: {
+      off: 'Off',
+      mention: 'Mention the member',
+      avatar: 'Show the member\'s name and avatar'
+    }
+  },
+
+  // Match results sent by DM with /follow
+  follows: {
+    maxPerUser: 5, // Players one member can follow, across every server
+  },
+
+  // Stored match history
+  history: {
+    pageSize: 10, // Matches per /history page
+    topChampions: 3, // Champions listed in /stats
+  },
+
+  // Leaderboard
+  leaderboard: {
+    size: 10, // Players shown
+    // Minimum games in the period to appear, so one lucky game doesn't top the board
+    minGames: {
+      week: 3,
+      month: 5,
+      season: 10
+    }
+  },
+
+  // Periods available to /stats and /leaderboard
+  periods: {
+    week: 'Last 7 days',
+    month: 'Last 30 days',
+    season: 'This season',
+    all: 'All time'
+  },
+
   // Validation
   validate() {
     const required = ['riot.apiKey', 'discord.token'];
@@ -55,6 +229,64 @@ const config = {
     return true;
   },
 
+  // Get the regional route (americas, europe, asia, sea) for a platform
+  getRegionalRoute(platform) {
+    return config.riot.platforms[platform] || config.riot.platforms[config.riot.platform];
+  },
+
+  // Get platform choices for slash command options
+  getPlatformChoices() {
+    return Object.keys(config.riot.platforms).map(platform => ({
+      name: platform.toUpperCase(),
+      value: platform
+    }));
+  },
+
+  // Get the start timestamp (ms) of a stats period; seasons start with the calendar year
+  getPeriodStart(period, now = Date.now()) {
+    const day = 24 * 60 * 60 * 1000;
+    switch (period) {
+      case 'week':
+        return now - 7 * day;
+      case 'month':
+        return now - 30 * day;
+      case 'season':
+        return new Date(new Date(now).getFullYear(), 0, 1).getTime();
+      default:
+        return 0;
+    }
+  },
+
+  // Get period choices for slash command options
+  getPeriodChoices() {
+    return Object.entries(config.periods).map(([value, name]) => ({ name, value }));
+  },
+
+  // Get queue group choices for slash command options
+  getQueueChoices() {
+    return Object.entries(config.queues.groups).map(([value, { label }]) => ({ name: label, value }));
+  },
+
+  // Get routable event choices for slash command options
+  getRouteEventChoices() {
+    return Object.entries(config.routing.events).map(([value, name]) => ({ name, value }));
+  },
+
+  // Get recap schedule choices for slash command options
+  getRecapScheduleChoices() {
+    return Object.entries(config.recaps.schedules).map(([value, name]) => ({ name, value }));
+  },
+
+  // Get member link mode choices for slash command options
+  getLinkModeChoices() {
+    return Object.entries(config.links.modes).map(([value, name]) => ({ name, value }));
+  },
+
+  // Get linked member display choices for slash command options
+  getMemberDisplayChoices() {
+    return Object.entries(config.links.displays).map(([value, name]) => ({ name, value }));
+  },
+
   // Get dynamic check interval based on player count
   getDynamicInterval(playerCount) {
     const { baseCheckInterval, maxCheckInterval } = config.intervals;
@@ -5,10 +5,20 @@
 const Database = require('better-sqlite3');
 const config = require('../config');
 
+/**
+ * Encode one PUUID or a list of PUUIDs for statements that filter with json_each
+ * @param {string|Array<string>} puuids - PUUID or PUUIDs
+ * @returns {string} - JSON array
+ */
+function toPuuidList(puuids) {
+  return JSON.stringify(Array.isArray(puuids) ? puuids : [puuids]);
+}
+
 class DatabaseManager {
   constructor() {
     this.db = new Database(config.database.path);
     this.initializeTables();
+    this.migrateTables();
     this.prepareStatements();
   }
 
@@ -20,7 +30,18 @@ class DatabaseManager {
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS guild_configs (
         guild_id TEXT PRIMARY KEY,
-        channel_id TEXT NOT NULL
+        channel_id TEXT NOT NULL,
+        platform TEXT,
+        queues TEXT,
+        disabled_highlights TEXT,
+        win_streak_threshold INTEGER,
+        loss_streak_threshold INTEGER,
+        recap_schedule TEXT,
+        recap_weekday INTEGER,
+        recap_hour INTEGER,
+        timezone TEXT,
+        link_mode TEXT,
+        member_display TEXT
       );
 
       CREATE TABLE IF NOT EXISTS tracked_players (
@@ -29,6 +50,7 @@ class DatabaseManager {
         game_name TEXT NOT NULL,
         tag_line TEXT NOT NULL,
         puuid TEXT NOT NULL,
+        platform TEXT,
         FOREIGN KEY (guild_id) REFERENCES guild_configs(guild_id) ON DELETE CASCADE
       );
 
@@ -38,9 +60,154 @@ class DatabaseManager {
         match_id TEXT NOT NULL,
         PRIMARY KEY (guild_id, puuid)
       );
+
+      CREATE TABLE IF NOT EXISTS matches (
+        match_id TEXT PRIMARY KEY,
+        platform_id TEXT,
+        queue_id INTEGER,
+        game_mode TEXT,
+        game_duration INTEGER NOT NULL,
+        game_start_timestamp INTEGER,
+        game_end_timestamp INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS match_participants (
+        match_id TEXT NOT NULL,
+        puuid TEXT NOT NULL,
+        game_name TEXT,
+        tag_line TEXT,
+        champion_name TEXT NOT NULL,
+        team_id INTEGER,
+        team_position TEXT,
+        win INTEGER NOT NULL,
+        kills INTEGER NOT NULL,
+        deaths INTEGER NOT NULL,
+        assists INTEGER NOT NULL,
+        total_damage_dealt_to_champions INTEGER NOT NULL DEFAULT 0,
+        gold_earned INTEGER NOT NULL DEFAULT 0,
+        total_minions_killed INTEGER NOT NULL DEFAULT 0,
+        neutral_minions_killed INTEGER NOT NULL DEFAULT 0,
+        vision_score INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (match_id, puuid),
+        FOREIGN KEY (match_id) REFERENCES matches(match_id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_match_participants_puuid ON match_participants (puuid);
+
+      CREATE TABLE IF NOT EXISTS live_games (
+        guild_id TEXT NOT NULL,
+        match_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, match_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS channel_routes (
+        guild_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        queue_group TEXT NOT NULL DEFAULT '',
+        puuid TEXT NOT NULL DEFAULT '',
+        channel_id TEXT NOT NULL,
+        PRIMARY KEY (guild_id, event_type, queue_group, puuid)
+      );
+
+      CREATE TABLE IF NOT EXISTS member_links (
+        guild_id TEXT NOT NULL,
+        puuid TEXT NOT NULL,
+        discord_user_id TEXT NOT NULL,
+        approved INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, puuid)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_member_links_user ON member_links (guild_id, discord_user_id);
+
+      CREATE TABLE IF NOT EXISTS follows (
+        guild_id TEXT NOT NULL,
+        puuid TEXT NOT NULL,
+        discord_user_id TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (guild_id, puuid, discord_user_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_follows_user ON follows (discord_user_id);
+
+      CREATE TABLE IF NOT EXISTS recaps (
+        guild_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        period_end INTEGER NOT NULL,
+        posted_at INTEGER,
+        PRIMARY KEY (guild_id, type)
+      );
+
+      CREATE TABLE IF NOT EXISTS rank_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        puuid TEXT NOT NULL,
+        queue_type TEXT NOT NULL,
+        tier TEXT NOT NULL,
+        rank TEXT NOT NULL,
+        league_points INTEGER NOT NULL,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        mini_series TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rank_snapshots_puuid ON rank_snapshots (puuid, queue_type, created_at);
+
+      CREATE TABLE IF NOT EXISTS api_cache (
+        cache_key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        bucket_key TEXT PRIMARY KEY,
+        limits TEXT NOT NULL,
+        request_times TEXT NOT NULL,
+        blocked_until INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL
+      );
     `);
   }
 
+  /**
+   * Add columns introduced after the first release to existing databases
+   * @private
+   */
+  migrateTables() {
+    this.addColumnIfMissing('guild_configs', 'platform', 'TEXT');
+    this.addColumnIfMissing('tracked_players', 'platform', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'queues', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'disabled_highlights', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'win_streak_threshold', 'INTEGER');
+    this.addColumnIfMissing('guild_configs', 'loss_streak_threshold', 'INTEGER');
+    this.addColumnIfMissing('guild_configs', 'recap_schedule', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'recap_weekday', 'INTEGER');
+    this.addColumnIfMissing('guild_configs', 'recap_hour', 'INTEGER');
+    this.addColumnIfMissing('guild_configs', 'timezone', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'link_mode', 'TEXT');
+    this.addColumnIfMissing('guild_configs', 'member_display', 'TEXT');
+
+    // Players tracked before platforms existed were on the default platform
+    this.db.prepare('UPDATE tracked_players SET platform = ? WHERE platform IS NULL').run(config.riot.platform);
+  }
+
+  /**
+   * Add a column to a table unless it already exists
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   * @private
+   */
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
   /**
    * Prepare database statements for better performance
    * @private
@@ -48,14 +215,28 @@ class DatabaseManager {
   prepareStatements() {
     this.stmts = {
       // Guild configuration
-      setGuildConfig: this.db.prepare('INSERT OR REPLACE INTO guild_configs (guild_id, channel_id) VALUES (?, ?)'),
+      setGuildConfig: this.db.prepare(`
+        INSERT INTO guild_configs (guild_id, channel_id) VALUES (?, ?)
+        ON CONFLICT(guild_id) DO UPDATE SET channel_id = excluded.channel_id
+      `),
+      setGuildPlatform: this.db.prepare('UPDATE guild_configs SET platform = ? WHERE guild_id = ?'),
+      setGuildQueues: this.db.prepare('UPDATE guild_configs SET queues = ? WHERE guild_id = ?'),
+      setGuildDisabledHighlights: this.db.prepare('UPDATE guild_configs SET disabled_highlights = ? WHERE guild_id = ?'),
+      setGuildStreakThresholds: this.db.prepare('UPDATE guild_configs SET win_streak_threshold = ?, loss_streak_threshold = ? WHERE guild_id = ?'),
+      setGuildRecapSchedule: this.db.prepare(`
+        UPDATE guild_configs SET recap_schedule = @schedule, recap_weekday = @weekday, recap_hour = @hour, timezone = @timezone
+        WHERE guild_id = @guildId
+      `),
+      setGuildMemberLinkSettings: this.db.prepare('UPDATE guild_configs SET link_mode = ?, member_display = ? WHERE guild_id = ?'),
       getGuildConfig: this.db.prepare('SELECT * FROM guild_configs WHERE guild_id = ?'),
       getAllGuildConfigs: this.db.prepare('SELECT * FROM guild_configs'),
       deleteGuildConfig: this.db.prepare('DELETE FROM guild_configs WHERE guild_id = ?'),
 
       // Player management
-      addPlayer: this.db.prepare('INSERT INTO tracked_players (guild_id, game_name, tag_line, puuid) VALUES (?, ?, ?, ?)'),
+      addPlayer: this.db.prepare('INSERT INTO tracked_players (guild_id, game_name, tag_line, puuid, platform) VALUES (?, ?, ?, ?, ?)'),
       getPlayers: this.db.prepare('SELECT * FROM tracked_players WHERE guild_id = ?'),
+      getPlayer: this.db.prepare('SELECT * FROM tracked_players WHERE guild_id = ? AND puuid = ?'),
+      findPlayerByRiotId: this.db.prepare('SELECT * FROM tracked_players WHERE guild_id = ? AND game_name = ? COLLATE NOCASE AND tag_line = ? COLLATE NOCASE'),
       getAllPlayers: this.db.prepare('SELECT * FROM tracked_players'),
       deleteGuildPlayers: this.db.prepare('DELETE FROM tracked_players WHERE guild_id = ?'),
       deletePlayer: this.db.prepare('DELETE FROM tracked_players WHERE guild_id = ? AND puuid = ?'),
@@ -67,6 +248,221 @@ class DatabaseManager {
       deleteLastMatch: this.db.prepare('DELETE FROM last_matches WHERE guild_id = ? AND puuid = ?'),
       deleteGuildLastMatches: this.db.prepare('DELETE FROM last_matches WHERE guild_id = ?'),
 
+      // Channel routing ('' stands for "any queue" / "any player")
+      setChannelRoute: this.db.prepare(`
+        INSERT INTO channel_routes (guild_id, event_type, queue_group, puuid, channel_id) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(guild_id, event_type, queue_group, puuid) DO UPDATE SET channel_id = excluded.channel_id
+      `),
+      deleteChannelRoute: this.db.prepare('DELETE FROM channel_routes WHERE guild_id = ? AND event_type = ? AND queue_group = ? AND puuid = ?'),
+      getChannelRoutes: this.db.prepare('SELECT * FROM channel_routes WHERE guild_id = ? ORDER BY event_type, queue_group, puuid'),
+      deletePlayerChannelRoutes: this.db.prepare('DELETE FROM channel_routes WHERE guild_id = ? AND puuid = ?'),
+      deleteGuildChannelRoutes: this.db.prepare('DELETE FROM channel_routes WHERE guild_id = ?'),
+
+      // Member links
+      setMemberLink: this.db.prepare(`
+        INSERT OR REPLACE INTO member_links (guild_id, puuid, discord_user_id, approved, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      approveMemberLink: this.db.prepare('UPDATE member_links SET approved = 1 WHERE guild_id = ? AND puuid = ?'),
+      getMemberLink: this.db.prepare('SELECT * FROM member_links WHERE guild_id = ? AND puuid = ?'),
+      getMemberLinks: this.db.prepare(`
+        SELECT l.*, t.game_name, t.tag_line
+        FROM member_links l
+        JOIN tracked_players t ON t.guild_id = l.guild_id AND t.puuid = l.puuid
+        WHERE l.guild_id = ?
+        ORDER BY l.approved DESC, l.discord_user_id, t.game_name
+      `),
+      getMemberPlayers: this.db.prepare(`
+        SELECT t.*
+        FROM member_links l
+        JOIN tracked_players t ON t.guild_id = l.guild_id AND t.puuid = l.puuid
+        WHERE l.guild_id = ? AND l.discord_user_id = ? AND l.approved = 1
+        ORDER BY t.game_name
+      `),
+      deleteMemberLink: this.db.prepare('DELETE FROM member_links WHERE guild_id = ? AND puuid = ?'),
+      deleteGuildMemberLinks: this.db.prepare('DELETE FROM member_links WHERE guild_id = ?'),
+
+      // DM subscriptions
+      addFollow: this.db.prepare('INSERT OR IGNORE INTO follows (guild_id, puuid, discord_user_id, created_at) VALUES (?, ?, ?, ?)'),
+      deleteFollow: this.db.prepare('DELETE FROM follows WHERE guild_id = ? AND puuid = ? AND discord_user_id = ?'),
+      getFollowerIds: this.db.prepare('SELECT discord_user_id FROM follows WHERE guild_id = ? AND puuid = ?'),
+      getUserFollows: this.db.prepare(`
+        SELECT f.guild_id, t.puuid, t.game_name, t.tag_line
+        FROM follows f
+        JOIN tracked_players t ON t.guild_id = f.guild_id AND t.puuid = f.puuid
+        WHERE f.discord_user_id = ?
+        ORDER BY f.created_at
+      `),
+      deletePlayerFollows: this.db.prepare('DELETE FROM follows WHERE guild_id = ? AND puuid = ?'),
+      deleteGuildFollows: this.db.prepare('DELETE FROM follows WHERE guild_id = ?'),
+
+      // Match history
+      saveMatch: this.db.prepare(`
+        INSERT OR IGNORE INTO matches (match_id, platform_id, queue_id, game_mode, game_duration, game_start_timestamp, game_end_timestamp)
+        VALUES (@matchId, @platformId, @queueId, @gameMode, @gameDuration, @gameStartTimestamp, @gameEndTimestamp)
+      `),
+      saveMatchParticipant: this.db.prepare(`
+        INSERT OR REPLACE INTO match_participants (
+          match_id, puuid, game_name, tag_line, champion_name, team_id, team_position, win,
+          kills, deaths, assists, total_damage_dealt_to_champions, gold_earned,
+          total_minions_killed, neutral_minions_killed, vision_score
+        ) VALUES (
+          @matchId, @puuid, @gameName, @tagLine, @championName, @teamId, @teamPosition, @win,
+          @kills, @deaths, @assists, @totalDamageDealtToChampions, @goldEarned,
+          @totalMinionsKilled, @neutralMinionsKilled, @visionScore
+        )
+      `),
+      getMatchHistory: this.db.prepare(`
+        SELECT m.*, p.*
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid = ?
+        ORDER BY m.game_end_timestamp DESC
+        LIMIT ? OFFSET ?
+      `),
+      getMatchHistoryCount: this.db.prepare('SELECT COUNT(*) as count FROM match_participants WHERE puuid = ?'),
+      getMatchEndTime: this.db.prepare('SELECT game_end_timestamp FROM matches WHERE match_id = ?'),
+
+      // Player statistics (take a JSON array of PUUIDs, so a member's accounts can be combined)
+      getPlayerStats: this.db.prepare(`
+        SELECT
+          COUNT(*) as games,
+          COALESCE(SUM(p.win), 0) as wins,
+          COALESCE(SUM(p.kills), 0) as kills,
+          COALESCE(SUM(p.deaths), 0) as deaths,
+          COALESCE(SUM(p.assists), 0) as assists,
+          COALESCE(SUM(p.total_damage_dealt_to_champions) / NULLIF(SUM(m.game_duration) / 60.0, 0), 0) as damage_per_minute
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid IN (SELECT value FROM json_each(?)) AND m.game_end_timestamp >= ?
+      `),
+      getTopChampions: this.db.prepare(`
+        SELECT
+          p.champion_name,
+          COUNT(*) as games,
+          SUM(p.win) as wins,
+          SUM(p.kills) as kills,
+          SUM(p.deaths) as deaths,
+          SUM(p.assists) as assists
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid IN (SELECT value FROM json_each(?)) AND m.game_end_timestamp >= ?
+        GROUP BY p.champion_name
+        ORDER BY games DESC, wins DESC
+        LIMIT ?
+      `),
+      getGuildLeaderboard: this.db.prepare(`
+        SELECT
+          t.puuid,
+          t.game_name,
+          t.tag_line,
+          COUNT(*) as games,
+          SUM(p.win) as wins,
+          SUM(p.kills) as kills,
+          SUM(p.deaths) as deaths,
+          SUM(p.assists) as assists,
+          COALESCE(SUM(p.total_damage_dealt_to_champions) / NULLIF(SUM(m.game_duration) / 60.0, 0), 0) as damage_per_minute
+        FROM tracked_players t
+        JOIN match_participants p ON p.puuid = t.puuid
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE t.guild_id = ? AND m.game_end_timestamp >= ? AND m.game_end_timestamp < ?
+        GROUP BY t.puuid
+      `),
+      getGuildTopChampions: this.db.prepare(`
+        SELECT
+          p.champion_name,
+          COUNT(*) as games,
+          SUM(p.win) as wins,
+          COUNT(DISTINCT t.puuid) as players
+        FROM tracked_players t
+        JOIN match_participants p ON p.puuid = t.puuid
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE t.guild_id = ? AND m.game_end_timestamp >= ? AND m.game_end_timestamp < ?
+        GROUP BY p.champion_name
+        ORDER BY games DESC, wins DESC
+        LIMIT ?
+      `),
+      getRecentResults: this.db.prepare(`
+        SELECT p.win
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid IN (SELECT value FROM json_each(?)) AND COALESCE(m.game_end_timestamp, 0) <= ?
+        ORDER BY m.game_end_timestamp DESC
+        LIMIT ?
+      `),
+      getResultsSince: this.db.prepare(`
+        SELECT p.win
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid IN (SELECT value FROM json_each(?)) AND m.game_end_timestamp >= ?
+        ORDER BY m.game_end_timestamp ASC
+      `),
+
+      getLastPlayedAt: this.db.prepare(`
+        SELECT MAX(m.game_end_timestamp) as last_played_at
+        FROM match_participants p
+        JOIN matches m ON m.match_id = p.match_id
+        WHERE p.puuid = ?
+      `),
+
+      // Live games
+      saveLiveGame: this.db.prepare('INSERT OR REPLACE INTO live_games (guild_id, match_id, channel_id, message_id, started_at) VALUES (?, ?, ?, ?, ?)'),
+      getLiveGame: this.db.prepare('SELECT * FROM live_games WHERE guild_id = ? AND match_id = ?'),
+      deleteLiveGame: this.db.prepare('DELETE FROM live_games WHERE guild_id = ? AND match_id = ?'),
+      deleteLiveGamesBefore: this.db.prepare('DELETE FROM live_games WHERE started_at < ?'),
+      deleteGuildLiveGames: this.db.prepare('DELETE FROM live_games WHERE guild_id = ?'),
+
+      // Recaps
+      getRecap: this.db.prepare('SELECT * FROM recaps WHERE guild_id = ? AND type = ?'),
+      setRecap: this.db.prepare('INSERT OR REPLACE INTO recaps (guild_id, type, period_end, posted_at) VALUES (?, ?, ?, ?)'),
+      deleteGuildRecaps: this.db.prepare('DELETE FROM recaps WHERE guild_id = ?'),
+
+      // API response cache (immutable resources only)
+      getCachedResponse: this.db.prepare('SELECT data FROM api_cache WHERE cache_key = ?'),
+      saveCachedResponse: this.db.prepare('INSERT OR REPLACE INTO api_cache (cache_key, data, created_at) VALUES (?, ?, ?)'),
+
+      // Rate limiter state
+      getRateLimitBuckets: this.db.prepare('SELECT * FROM rate_limit_buckets'),
+      saveRateLimitBucket: this.db.prepare(`
+        INSERT OR REPLACE INTO rate_limit_buckets (bucket_key, limits, request_times, blocked_until, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      deleteRateLimitBuckets: this.db.prepare('DELETE FROM rate_limit_buckets'),
+
+      // Rank snapshots
+      saveRankSnapshot: this.db.prepare(`
+        INSERT INTO rank_snapshots (puuid, queue_type, tier, rank, league_points, wins, losses, mini_series, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      getLatestRankSnapshot: this.db.prepare(`
+        SELECT * FROM rank_snapshots
+        WHERE puuid = ? AND queue_type = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      `),
+      getGuildLatestRanks: this.db.prepare(`
+        SELECT t.puuid, t.game_name, t.tag_line, s.tier, s.rank, s.league_points, s.wins, s.losses, s.created_at
+        FROM tracked_players t
+        JOIN rank_snapshots s ON s.id = (
+          SELECT id FROM rank_snapshots
+          WHERE puuid = t.puuid AND queue_type = ?
+          ORDER BY created_at DESC, id DESC
+          LIMIT 1
+        )
+        WHERE t.guild_id = ?
+        GROUP BY t.puuid
+      `),
+      // Last snapshot at or before the given time, falling back to the first one after it
+      getRankSnapshotAt: this.db.prepare(`
+        SELECT * FROM rank_snapshots
+        WHERE puuid = ? AND queue_type = ?
+        ORDER BY
+          CASE WHEN created_at <= @at THEN 0 ELSE 1 END,
+          CASE WHEN created_at <= @at THEN -created_at ELSE created_at END,
+          id DESC
+        LIMIT 1
+      `),
+
       // Statistics
       getPlayerCount: this.db.prepare('SELECT COUNT(*) as count FROM tracked_players'),
       getGuildPlayerCount: this.db.prepare('SELECT COUNT(*) as count FROM tracked_players WHERE guild_id = ?'),
@@ -84,6 +480,69 @@ class DatabaseManager {
     return this.stmts.setGuildConfig.run(guildId, channelId);
   }
 
+  setGuildPlatform(guildId, platform) {
+    return this.stmts.setGuildPlatform.run(platform, guildId);
+  }
+
+  /**
+   * Set the queue groups a guild posts
+   * Last match cursors are reset, since they point into the old queue filter's match list.
+   * @param {string} guildId - Guild ID
+   * @param {Array<string>} queues - Queue group keys (see config.queues.groups)
+   */
+  setGuildQueues(guildId, queues) {
+    const transaction = this.db.transaction(() => {
+      this.stmts.setGuildQueues.run(queues.join(','), guildId);
+      this.stmts.deleteGuildLastMatches.run(guildId);
+    });
+    return transaction();
+  }
+
+  /**
+   * Set the highlight rules a guild has turned off
+   * Storing the disabled rules keeps rules added later on by default.
+   * @param {string} guildId - Guild ID
+   * @param {Array<string>} ruleIds - Disabled rule IDs (see HighlightRules)
+   */
+  setGuildDisabledHighlights(guildId, ruleIds) {
+    return this.stmts.setGuildDisabledHighlights.run(ruleIds.join(','), guildId);
+  }
+
+  /**
+   * Set the streak lengths a guild announces (0 turns an announcement off, null restores the default)
+   * @param {string} guildId - Guild ID
+   * @param {number|null} winThreshold - Win streak threshold
+   * @param {number|null} lossThreshold - Loss streak threshold
+   */
+  setGuildStreakThresholds(guildId, winThreshold, lossThreshold) {
+    return this.stmts.setGuildStreakThresholds.run(winThreshold, lossThreshold, guildId);
+  }
+
+  /**
+   * Set when a guild gets recaps
+   * Recap bookkeeping is reset, so the new schedule starts with its next recap
+   * instead of posting one for a period that already ended.
+   * @param {string} guildId - Guild ID
+   * @param {Object} settings - { schedule, weekday, hour, timezone } (see config.recaps)
+   */
+  setGuildRecapSchedule(guildId, { schedule, weekday, hour, timezone }) {
+    const transaction = this.db.transaction(() => {
+      this.stmts.setGuildRecapSchedule.run({ guildId, schedule, weekday, hour, timezone });
+      this.stmts.deleteGuildRecaps.run(guildId);
+    });
+    return transaction();
+  }
+
+  /**
+   * Set how members link Riot accounts and how linked members show up in match posts
+   * @param {string} guildId - Guild ID
+   * @param {string} linkMode - approval or self (see config.links.modes)
+   * @param {string} memberDisplay - off, mention or avatar (see config.links.displays)
+   */
+  setGuildMemberLinkSettings(guildId, linkMode, memberDisplay) {
+    return this.stmts.setGuildMemberLinkSettings.run(linkMode, memberDisplay, guildId);
+  }
+
   getGuildConfig(guildId) {
     return this.stmts.getGuildConfig.get(guildId);
   }
@@ -97,19 +556,32 @@ class DatabaseManager {
       this.stmts.deleteGuildConfig.run(guildId);
       this.stmts.deleteGuildPlayers.run(guildId);
       this.stmts.deleteGuildLastMatches.run(guildId);
+      this.stmts.deleteGuildLiveGames.run(guildId);
+      this.stmts.deleteGuildChannelRoutes.run(guildId);
+      this.stmts.deleteGuildRecaps.run(guildId);
+      this.stmts.deleteGuildMemberLinks.run(guildId);
+      this.stmts.deleteGuildFollows.run(guildId);
     });
     return transaction();
   }
 
   // Player Management Methods
-  addPlayer(guildId, gameName, tagLine, puuid) {
-    return this.stmts.addPlayer.run(guildId, gameName, tagLine, puuid);
+  addPlayer(guildId, gameName, tagLine, puuid, platform = config.riot.platform) {
+    return this.stmts.addPlayer.run(guildId, gameName, tagLine, puuid, platform);
   }
 
   getPlayers(guildId) {
     return this.stmts.getPlayers.all(guildId);
   }
 
+  getPlayer(guildId, puuid) {
+    return this.stmts.getPlayer.get(guildId, puuid);
+  }
+
+  findPlayerByRiotId(guildId, gameName, tagLine) {
+    return this.stmts.findPlayerByRiotId.get(guildId, gameName, tagLine);
+  }
+
   getAllPlayers() {
     return this.stmts.getAllPlayers.all();
   }
@@ -122,6 +594,23 @@ class DatabaseManager {
     return this.stmts.deletePlayer.run(guildId, puuid);
   }
 
+  /**
+   * Stop tracking a player and delete their cursor, routes, member link and follows in the guild
+   * Stored matches are kept for other guilds and for re-adding the player.
+   * @param {string} guildId - Guild ID
+   * @param {string} puuid - Player's PUUID
+   */
+  removePlayer(guildId, puuid) {
+    const transaction = this.db.transaction(() => {
+      this.stmts.deletePlayer.run(guildId, puuid);
+      this.stmts.deleteLastMatch.run(guildId, puuid);
+      this.stmts.deletePlayerChannelRoutes.run(guildId, puuid);
+      this.stmts.deleteMemberLink.run(guildId, puuid);
+      this.stmts.deletePlayerFollows.run(guildId, puuid);
+    });
+    return transaction();
+  }
+
   updatePlayer(guildId, puuid, gameName, tagLine) {
     return this.stmts.updatePlayer.run(gameName, tagLine, guildId, puuid);
   }
@@ -139,6 +628,300 @@ class DatabaseManager {
     return this.stmts.deleteLastMatch.run(guildId, puuid);
   }
 
+  // Channel Routing Methods
+  setChannelRoute(guildId, eventType, queueGroup, puuid, channelId) {
+    return this.stmts.setChannelRoute.run(guildId, eventType, queueGroup || '', puuid || '', channelId);
+  }
+
+  deleteChannelRoute(guildId, eventType, queueGroup, puuid) {
+    return this.stmts.deleteChannelRoute.run(guildId, eventType, queueGroup || '', puuid || '');
+  }
+
+  getChannelRoutes(guildId) {
+    return this.stmts.getChannelRoutes.all(guildId);
+  }
+
+  deletePlayerChannelRoutes(guildId, puuid) {
+    return this.stmts.deletePlayerChannelRoutes.run(guildId, puuid);
+  }
+
+  // Member Link Methods
+  /**
+   * Link a tracked player to a Discord member, replacing any previous link
+   * @param {string} guildId - Guild ID
+   * @param {string} puuid - Player's PUUID
+   * @param {string} discordUserId - Discord user ID
+   * @param {boolean} approved - Whether the link is active (false waits for an admin)
+   */
+  setMemberLink(guildId, puuid, discordUserId, approved) {
+    return this.stmts.setMemberLink.run(guildId, puuid, discordUserId, approved ? 1 : 0, Date.now());
+  }
+
+  approveMemberLink(guildId, puuid) {
+    return this.stmts.approveMemberLink.run(guildId, puuid);
+  }
+
+  getMemberLink(guildId, puuid) {
+    return this.stmts.getMemberLink.get(guildId, puuid);
+  }
+
+  getMemberLinks(guildId) {
+    return this.stmts.getMemberLinks.all(guildId);
+  }
+
+  /**
+   * Get the tracked players a member has an approved link to (their main and smurfs)
+   * @param {string} guildId - Guild ID
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Array} - Tracked player rows
+   */
+  getMemberPlayers(guildId, discordUserId) {
+    return this.stmts.getMemberPlayers.all(guildId, discordUserId);
+  }
+
+  deleteMemberLink(guildId, puuid) {
+    return this.stmts.deleteMemberLink.run(guildId, puuid);
+  }
+
+  // DM Subscription Methods
+  addFollow(guildId, puuid, discordUserId) {
+    return this.stmts.addFollow.run(guildId, puuid, discordUserId, Date.now());
+  }
+
+  deleteFollow(guildId, puuid, discordUserId) {
+    return this.stmts.deleteFollow.run(guildId, puuid, discordUserId);
+  }
+
+  /**
+   * Get the Discord users who follow a player's games by DM
+   * @param {string} guildId - Guild the follow was made in
+   * @param {string} puuid - Player's PUUID
+   * @returns {Array<string>} - Discord user IDs
+   */
+  getFollowerIds(guildId, puuid) {
+    return this.stmts.getFollowerIds.all(guildId, puuid).map(row => row.discord_user_id);
+  }
+
+  /**
+   * Get every player a user follows, across guilds (the per-user cap is global)
+   * @param {string} discordUserId - Discord user ID
+   * @returns {Array} - { guild_id, puuid, game_name, tag_line }, oldest follow first
+   */
+  getUserFollows(discordUserId) {
+    return this.stmts.getUserFollows.all(discordUserId);
+  }
+
+  deletePlayerFollows(guildId, puuid) {
+    return this.stmts.deletePlayerFollows.run(guildId, puuid);
+  }
+
+  // Match History Methods
+  saveMatch(match) {
+    const row = {
+      gameName: null,
+      tagLine: null,
+      platformId: null,
+      queueId: null,
+      teamId: null,
+      teamPosition: null,
+      gameStartTimestamp: null,
+      goldEarned: 0,
+      totalMinionsKilled: 0,
+      neutralMinionsKilled: 0,
+      visionScore: 0,
+      ...match,
+      win: match.win ? 1 : 0,
+      totalDamageDealtToChampions: match.totalDamageDealtToChampions || 0
+    };
+
+    const transaction = this.db.transaction(() => {
+      this.stmts.saveMatch.run(row);
+      this.stmts.saveMatchParticipant.run(row);
+    });
+    return transaction();
+  }
+
+  getMatchHistory(puuid, limit = 10, offset = 0) {
+    return this.stmts.getMatchHistory.all(puuid, limit, offset);
+  }
+
+  getMatchHistoryCount(puuid) {
+    return this.stmts.getMatchHistoryCount.get(puuid).count;
+  }
+
+  getMatchEndTime(matchId) {
+    const row = this.stmts.getMatchEndTime.get(matchId);
+    return row ? row.game_end_timestamp : null;
+  }
+
+  // Player Statistics Methods (puuids is one PUUID or an array of a member's PUUIDs)
+  getPlayerStats(puuids, since = 0) {
+    return this.stmts.getPlayerStats.get(toPuuidList(puuids), since);
+  }
+
+  getTopChampions(puuids, since = 0, limit = 3) {
+    return this.stmts.getTopChampions.all(toPuuidList(puuids), since, limit);
+  }
+
+  /**
+   * Get a player's streak of consecutive wins or losses
+   * @param {string|Array<string>} puuids - Player's PUUID, or every PUUID of a member
+   * @param {number} lookback - Stored games to scan
+   * @param {number} until - Only count games that ended by this timestamp (default: now)
+   * @returns {Object} - { win, count }
+   */
+  getCurrentStreak(puuids, lookback = 50, until = Number.MAX_SAFE_INTEGER) {
+    const results = this.stmts.getRecentResults.all(toPuuidList(puuids), until, lookback);
+    if (results.length === 0) return { win: false, count: 0 };
+
+    const win = results[0].win === 1;
+    const index = results.findIndex(result => (result.win === 1) !== win);
+    return { win, count: index === -1 ? results.length : index };
+  }
+
+  /**
+   * Get a player's longest win and loss streaks since a timestamp
+   * @param {string|Array<string>} puuids - Player's PUUID, or every PUUID of a member
+   * @param {number} since - Start timestamp (ms)
+   * @returns {Object} - { win, loss } longest streak lengths
+   */
+  getLongestStreaks(puuids, since = 0) {
+    const longest = { win: 0, loss: 0 };
+    let current = 0;
+    let currentWin = null;
+
+    for (const { win } of this.stmts.getResultsSince.all(toPuuidList(puuids), since)) {
+      current = (win === 1) === currentWin ? current + 1 : 1;
+      currentWin = win === 1;
+      const key = currentWin ? 'win' : 'loss';
+      longest[key] = Math.max(longest[key], current);
+    }
+
+    return longest;
+  }
+
+  getGuildLeaderboard(guildId, since = 0, until = Number.MAX_SAFE_INTEGER) {
+    return this.stmts.getGuildLeaderboard.all(guildId, since, until);
+  }
+
+  getGuildTopChampions(guildId, since = 0, until = Number.MAX_SAFE_INTEGER, limit = 3) {
+    return this.stmts.getGuildTopChampions.all(guildId, since, until, limit);
+  }
+
+  getLastPlayedAt(puuid) {
+    return this.stmts.getLastPlayedAt.get(puuid).last_played_at;
+  }
+
+  // Live Game Methods
+  saveLiveGame(guildId, matchId, channelId, messageId, startedAt = Date.now()) {
+    return this.stmts.saveLiveGame.run(guildId, matchId, channelId, messageId, startedAt);
+  }
+
+  getLiveGame(guildId, matchId) {
+    return this.stmts.getLiveGame.get(guildId, matchId);
+  }
+
+  deleteLiveGame(guildId, matchId) {
+    return this.stmts.deleteLiveGame.run(guildId, matchId);
+  }
+
+  deleteLiveGamesBefore(timestamp) {
+    return this.stmts.deleteLiveGamesBefore.run(timestamp);
+  }
+
+  // Recap Methods
+  getRecap(guildId, type) {
+    return this.stmts.getRecap.get(guildId, type);
+  }
+
+  /**
+   * Record the last period a recap was handled for
+   * @param {string} guildId - Guild ID
+   * @param {string} type - Recap type (weekly, monthly)
+   * @param {number} periodEnd - End of the period (ms)
+   * @param {number|null} postedAt - When the recap was posted, null when the period was skipped
+   */
+  setRecap(guildId, type, periodEnd, postedAt = null) {
+    return this.stmts.setRecap.run(guildId, type, periodEnd, postedAt);
+  }
+
+  // API Cache Methods
+  /**
+   * Get a cached API response
+   * @param {string} key - Cache key
+   * @returns {string|undefined} - Response JSON, undefined when not cached
+   */
+  getCachedResponse(key) {
+    const row = this.stmts.getCachedResponse.get(key);
+    return row ? row.data : undefined;
+  }
+
+  saveCachedResponse(key, json) {
+    return this.stmts.saveCachedResponse.run(key, json, Date.now());
+  }
+
+  // Rate Limiter State Methods
+  /**
+   * Get the rate limiter buckets saved before the last shutdown
+   * @returns {Array} - { key, limits, requestTimes, blockedUntil }
+   */
+  getRateLimitBuckets() {
+    return this.stmts.getRateLimitBuckets.all().map(row => ({
+      key: row.bucket_key,
+      limits: JSON.parse(row.limits),
+      requestTimes: JSON.parse(row.request_times),
+      blockedUntil: row.blocked_until
+    }));
+  }
+
+  /**
+   * Replace the saved rate limiter buckets
+   * @param {Array} buckets - { key, limits, requestTimes, blockedUntil }
+   */
+  saveRateLimitBuckets(buckets) {
+    const now = Date.now();
+    const transaction = this.db.transaction(() => {
+      this.stmts.deleteRateLimitBuckets.run();
+      for (const bucket of buckets) {
+        this.stmts.saveRateLimitBucket.run(
+          bucket.key,
+          JSON.stringify(bucket.limits),
+          JSON.stringify(bucket.requestTimes),
+          bucket.blockedUntil,
+          now
+        );
+      }
+    });
+    return transaction();
+  }
+
+  // Rank Snapshot Methods
+  saveRankSnapshot(puuid, entry, createdAt = Date.now()) {
+    return this.stmts.saveRankSnapshot.run(
+      puuid,
+      entry.queueType,
+      entry.tier,
+      entry.rank,
+      entry.leaguePoints,
+      entry.wins || 0,
+      entry.losses || 0,
+      entry.miniSeries ? entry.miniSeries.progress : null,
+      createdAt
+    );
+  }
+
+  getLatestRankSnapshot(puuid, queueType) {
+    return this.stmts.getLatestRankSnapshot.get(puuid, queueType);
+  }
+
+  getGuildLatestRanks(guildId, queueType = 'RANKED_SOLO_5x5') {
+    return this.stmts.getGuildLatestRanks.all(queueType, guildId);
+  }
+
+  getRankSnapshotAt(puuid, at, queueType = 'RANKED_SOLO_5x5') {
+    return this.stmts.getRankSnapshotAt.get(puuid, queueType, { at });
+  }
+
   // Statistics Methods
   getPlayerCount() {
     return this.stmts.getPlayerCount.get().count;
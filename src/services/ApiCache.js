@@ -0,0 +1,169 @@
+/**
+ * API Cache
+ * Caches Riot API responses by key, with a TTL per key prefix ("match:", "puuid:", ...)
+ * and least-recently-used eviction once the memory bound is reached.
+ * Immutable resources (finished matches) are also kept in SQLite, so they survive restarts.
+ */
+const config = require('../config');
+
+class ApiCache {
+  /**
+   * @param {Object} store - Optional database with getCachedResponse/saveCachedResponse
+   * @param {Object} options - Overrides of config.cache, mainly for tests
+   */
+  constructor(store = null, options = {}) {
+    this.store = store;
+    this.ttls = options.ttls || config.cache.ttls;
+    this.maxBytes = options.maxBytes || config.cache.maxBytes;
+    this.persistentPrefixes = options.persistentPrefixes || config.cache.persistentPrefixes;
+
+    // Map keeps insertion order, so the first entry is the least recently used
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = { hits: 0, diskHits: 0, misses: 0, evictions: 0 };
+  }
+
+  /**
+   * Get the prefix of a key, e.g. "match" for "match:EUW1_123"
+   * @private
+   */
+  getPrefix(key) {
+    return key.split(':')[0];
+  }
+
+  /**
+   * Get how long a key stays fresh
+   * @param {string} key - Cache key
+   * @returns {number} - TTL in ms (Infinity for immutable data, 0 to skip caching)
+   */
+  getTtl(key) {
+    return this.ttls[this.getPrefix(key)] ?? this.ttls.default;
+  }
+
+  /**
+   * Check whether a key is kept in the persistent tier
+   * @private
+   */
+  isPersistent(key) {
+    return Boolean(this.store) && this.persistentPrefixes.includes(this.getPrefix(key));
+  }
+
+  /**
+   * Get a cached response
+   * @param {string} key - Cache key
+   * @returns {*} - Cached data, undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move to the back of the LRU order
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      return entry.data;
+    }
+    if (entry) {
+      this.delete(key);
+    }
+
+    if (this.isPersistent(key)) {
+      try {
+        const json = this.store.getCachedResponse(key);
+        if (json !== undefined) {
+          this.stats.diskHits++;
+          const data = JSON.parse(json);
+          this.remember(key, data, json.length);
+          return data;
+        }
+      } catch (error) {
+        console.error(`Error reading cached response ${key}:`, error.message);
+      }
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Cache a response for its prefix's TTL
+   * @param {string} key - Cache key
+   * @param {*} data - Response data (JSON-serializable)
+   */
+  set(key, data) {
+    if (this.getTtl(key) <= 0) return;
+
+    const json = JSON.stringify(data);
+    this.delete(key);
+    this.remember(key, data, json.length);
+
+    if (this.isPersistent(key)) {
+      try {
+        this.store.saveCachedResponse(key, json);
+      } catch (error) {
+        console.error(`Error saving cached response ${key}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Add an entry to the memory tier and evict the least recently used ones over the bound
+   * Sizes are approximated by the length of the JSON.
+   * @private
+   */
+  remember(key, data, size) {
+    if (size > this.maxBytes) return;
+
+    this.entries.set(key, { data, size, expiresAt: Date.now() + this.getTtl(key) });
+    this.bytes += size;
+
+    while (this.bytes > this.maxBytes) {
+      const [oldestKey] = this.entries.keys();
+      this.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry from the memory tier
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+  }
+
+  /**
+   * Clear the memory tier (the persistent tier only holds immutable data)
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Number of entries in memory
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get cache usage
+   * @returns {Object} - { entries, bytes, maxBytes, hits, diskHits, misses, evictions }
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ApiCache;
@@ -0,0 +1,88 @@
+/**
+ * Channel Router Service
+ * Picks the channel a guild wants each kind of post in, from its routing table
+ */
+const config = require('../config');
+
+class ChannelRouter {
+  constructor(database, client) {
+    this.database = database;
+    this.client = client;
+  }
+
+  /**
+   * Pick the most specific route for a post
+   * A route for the player beats a route for the queue, which beats a route for the
+   * whole event type. Routes for other players or queues never apply.
+   * @param {Array} routes - Guild routing rows ({ event_type, queue_group, puuid, channel_id })
+   * @param {string} defaultChannelId - Guild channel used when no route applies
+   * @param {string} eventType - Event type (see config.routing.events)
+   * @param {Object} target - What is being posted
+   * @param {number} target.queueId - Match queue ID, if any
+   * @param {Array<string>} target.puuids - Players in the post, in order of preference
+   * @returns {string} - Channel ID
+   */
+  static resolve(routes, defaultChannelId, eventType, { queueId = null, puuids = [] } = {}) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const route of routes) {
+      if (route.event_type !== eventType) continue;
+
+      let score = 0;
+      if (route.queue_group) {
+        const group = config.queues.groups[route.queue_group];
+        if (!group || !group.queueIds.includes(queueId)) continue;
+        score += 1;
+      }
+      if (route.puuid) {
+        if (!puuids.includes(route.puuid)) continue;
+        score += 2;
+      }
+
+      // Among player routes of equal weight, the first player listed wins
+      const isBetter = score > bestScore ||
+        (score === bestScore && route.puuid && puuids.indexOf(route.puuid) < puuids.indexOf(best.puuid));
+      if (isBetter) {
+        best = route;
+        bestScore = score;
+      }
+    }
+
+    return best ? best.channel_id : defaultChannelId;
+  }
+
+  /**
+   * Get the channel ID a guild wants a post in
+   * @param {string} guildId - Guild ID
+   * @param {string} eventType - Event type (match, rank, live)
+   * @param {Object} target - { queueId, puuids }
+   * @returns {string|null} - Channel ID or null if the guild is not configured
+   */
+  getChannelId(guildId, eventType, target = {}) {
+    const guildConfig = this.database.getGuildConfig(guildId);
+    if (!guildConfig) return null;
+
+    const routes = this.database.getChannelRoutes(guildId);
+    return ChannelRouter.resolve(routes, guildConfig.channel_id, eventType, target);
+  }
+
+  /**
+   * Fetch the channel a guild wants a post in
+   * @param {string} guildId - Guild ID
+   * @param {string} eventType - Event type (match, rank, live)
+   * @param {Object} target - { queueId, puuids }
+   * @returns {Promise<Object>} - Discord channel
+   * @throws {Error} - If the guild is not configured or the channel can't be fetched
+   */
+  async getChannel(guildId, eventType, target = {}) {
+    const channelId = this.getChannelId(guildId, eventType, target);
+    if (!channelId) {
+      throw new Error(`Guild ${guildId} is not configured`);
+    }
+
+    return this.client.channels.fetch(channelId);
+  }
+}
+
+module.exports = ChannelRouter;
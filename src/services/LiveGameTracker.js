@@ -0,0 +1,219 @@
+/**
+ * Live Game Tracker Service
+ * Announces tracked players entering a game using the spectator-v5 endpoint
+ */
+const config = require('../config');
+const EmbedUtils = require('../utils/EmbedBuilder');
+const QueueUtils = require('../utils/QueueUtils');
+const RankUtils = require('../utils/RankUtils');
+
+class LiveGameTracker {
+  constructor(database, riotApi, client, router) {
+    this.database = database;
+    this.riotApi = riotApi;
+    this.client = client;
+    this.router = router;
+    this.isRunning = false;
+    this.isChecking = false;
+
+    // PUUID -> { matchId, detectedAt } for players currently in a game
+    this.inGame = new Map();
+    // PUUID -> timestamp before which the player is not polled again
+    this.nextCheckAt = new Map();
+  }
+
+  /**
+   * Start the live game loop
+   */
+  start() {
+    if (this.isRunning || !config.liveGames.enabled) return;
+
+    this.isRunning = true;
+    this.checkInterval = setInterval(() => {
+      this.checkLiveGames();
+    }, config.liveGames.checkInterval);
+
+    console.log(`Live game tracker started (every ${config.liveGames.checkInterval / 1000} seconds)`);
+  }
+
+  /**
+   * Stop the live game loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Check whether a player was seen in a game that hasn't produced a result yet
+   * @param {string} puuid - Player's PUUID
+   * @returns {boolean}
+   */
+  isInGame(puuid) {
+    return this.inGame.has(puuid);
+  }
+
+  /**
+   * Estimate the spectator requests per minute for a set of players
+   * @param {Array<string>} puuids - Tracked PUUIDs (without duplicates)
+   * @returns {number} - Requests per minute
+   */
+  getExpectedRequestsPerMinute(puuids) {
+    if (!config.liveGames.enabled) return 0;
+
+    return puuids
+      .filter(puuid => !this.inGame.has(puuid))
+      .reduce((sum, puuid) => sum + 60000 / Math.max(this.getRecheckDelay(puuid), config.liveGames.checkInterval), 0);
+  }
+
+  /**
+   * Mark a player's game as finished so they are polled again
+   * @param {string} puuid - Player's PUUID
+   */
+  markFinished(puuid) {
+    this.inGame.delete(puuid);
+    this.nextCheckAt.delete(puuid);
+  }
+
+  /**
+   * Poll every due player once and announce new games
+   * @private
+   */
+  async checkLiveGames() {
+    // Skip if the previous run is still waiting on low-priority requests
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      const now = Date.now();
+      this.expireStaleGames(now);
+
+      const trackedPlayers = this.getTrackedPlayers();
+
+      for (const [puuid, tracked] of trackedPlayers) {
+        if (this.inGame.has(puuid) || (this.nextCheckAt.get(puuid) || 0) > now) continue;
+
+        const game = await this.riotApi.getActiveGame(puuid, 1, tracked.platform);
+        if (!game) {
+          this.nextCheckAt.set(puuid, Date.now() + this.getRecheckDelay(puuid));
+          continue;
+        }
+
+        await this.handleGame(game, trackedPlayers);
+      }
+    } catch (error) {
+      console.error('Error checking live games:', error.message);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Group tracked players by PUUID so each one is polled once across guilds
+   * @returns {Map} - PUUID -> { platform, guilds: Map(guildId -> player row) }
+   * @private
+   */
+  getTrackedPlayers() {
+    const trackedPlayers = new Map();
+
+    for (const guildConfig of this.database.getAllGuildConfigs()) {
+      const queueIds = QueueUtils.getGuildQueueIds(guildConfig);
+      for (const player of this.database.getPlayers(guildConfig.guild_id)) {
+        if (!trackedPlayers.has(player.puuid)) {
+          trackedPlayers.set(player.puuid, { platform: player.platform, guilds: new Map() });
+        }
+        trackedPlayers.get(player.puuid).guilds.set(guildConfig.guild_id, { ...player, queueIds });
+      }
+    }
+
+    return trackedPlayers;
+  }
+
+  /**
+   * Mark every tracked participant as in game and post one announcement per guild
+   * @param {Object} game - Spectator game data
+   * @param {Map} trackedPlayers - Result of getTrackedPlayers
+   * @private
+   */
+  async handleGame(game, trackedPlayers) {
+    const matchId = `${game.platformId}_${game.gameId}`;
+    const participants = game.participants.filter(participant => trackedPlayers.has(participant.puuid));
+
+    participants.forEach(participant => {
+      this.inGame.set(participant.puuid, { matchId, detectedAt: Date.now() });
+    });
+
+    // Only ranked games are announced live, even in guilds that post other queues' results
+    if (!RankUtils.getQueueType(game.gameQueueConfigId)) return;
+
+    // Group the tracked participants by guild, only in guilds that post this queue
+    // so the message can be completed with the result later
+    const guilds = new Map();
+    for (const participant of participants) {
+      for (const [guildId, player] of trackedPlayers.get(participant.puuid).guilds) {
+        if (!QueueUtils.isQueueEnabled(player.queueIds, game.gameQueueConfigId)) continue;
+        if (!guilds.has(guildId)) guilds.set(guildId, []);
+        guilds.get(guildId).push({ player, championId: participant.championId });
+      }
+    }
+
+    for (const [guildId, entries] of guilds) {
+      if (this.database.getLiveGame(guildId, matchId)) continue;
+
+      try {
+        const players = await Promise.all(entries.map(async entry => ({
+          gameName: entry.player.game_name,
+          tagLine: entry.player.tag_line,
+          championName: await this.riotApi.getChampionName(entry.championId)
+        })));
+
+        const channelId = this.router.getChannelId(guildId, 'live', {
+          queueId: game.gameQueueConfigId,
+          puuids: entries.map(entry => entry.player.puuid)
+        });
+        const channel = await this.client.channels.fetch(channelId);
+        const embed = EmbedUtils.createLiveGameEmbed(players, game);
+        const message = await channel.send({ embeds: [embed] });
+
+        this.database.saveLiveGame(guildId, matchId, channelId, message.id);
+        console.log(`Live game ${matchId} posted in guild ${guildId}`);
+      } catch (error) {
+        console.error(`Error posting live game ${matchId} in guild ${guildId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get how long to wait before polling a player who is not in game
+   * Players with no recent stored match are treated as dormant and polled less often.
+   * @param {string} puuid - Player's PUUID
+   * @returns {number} - Delay in ms
+   * @private
+   */
+  getRecheckDelay(puuid) {
+    const { idleRecheck, dormantRecheck, dormantAfter } = config.liveGames;
+    const lastPlayedAt = this.database.getLastPlayedAt(puuid);
+    return lastPlayedAt && Date.now() - lastPlayedAt < dormantAfter ? idleRecheck : dormantRecheck;
+  }
+
+  /**
+   * Forget games that never produced a result (remakes, custom games, missed matches)
+   * @param {number} now - Current timestamp
+   * @private
+   */
+  expireStaleGames(now) {
+    const cutoff = now - config.liveGames.maxGameLength;
+
+    for (const [puuid, state] of this.inGame) {
+      if (state.detectedAt < cutoff) {
+        this.markFinished(puuid);
+      }
+    }
+    this.database.deleteLiveGamesBefore(cutoff);
+  }
+}
+
+module.exports = LiveGameTracker;
@@ -4,12 +4,27 @@
  */
 const config = require('../config');
 const EmbedUtils = require('../utils/EmbedBuilder');
+const RankUtils = require('../utils/RankUtils');
+const QueueUtils = require('../utils/QueueUtils');
+const HighlightRules = require('../utils/HighlightRules');
+const StreakUtils = require('../utils/StreakUtils');
+const LinkUtils = require('../utils/LinkUtils');
+const RankTracker = require('./RankTracker');
+const LiveGameTracker = require('./LiveGameTracker');
+const ChannelRouter = require('./ChannelRouter');
+const RecapScheduler = require('./RecapScheduler');
+const PollScheduler = require('./PollScheduler');
 
 class MatchChecker {
   constructor(database, riotApi, client) {
     this.database = database;
     this.riotApi = riotApi;
     this.client = client;
+    this.router = new ChannelRouter(database, client);
+    this.rankTracker = new RankTracker(database, riotApi);
+    this.liveGameTracker = new LiveGameTracker(database, riotApi, client, this.router);
+    this.recapScheduler = new RecapScheduler(database, riotApi, this.router);
+    this.pollScheduler = new PollScheduler(database, this.liveGameTracker);
     this.isRunning = false;
   }
 
@@ -27,7 +42,9 @@ class MatchChecker {
       this.autoCheckMatches();
     }, config.intervals.baseCheckInterval);
 
-    console.log(`Match checker started (every ${config.intervals.baseCheckInterval / 1000} seconds)`);
+    console.log(`Match checker started (every ${config.intervals.baseCheckInterval / 1000} seconds, players checked when due)`);
+    this.liveGameTracker.start();
+    this.recapScheduler.start();
   }
 
   /**
@@ -38,6 +55,8 @@ class MatchChecker {
       clearInterval(this.checkInterval);
       this.checkInterval = null;
     }
+    this.liveGameTracker.stop();
+    this.recapScheduler.stop();
     this.isRunning = false;
     console.log('Match checker stopped');
   }
@@ -51,68 +70,57 @@ class MatchChecker {
     
     // Collect all players from all guilds
     const allPlayers = [];
-    const guildChannels = new Map();
     
     for (const config of configs) {
-      try {
-        const channel = await this.client.channels.fetch(config.channel_id);
-        const players = this.database.getPlayers(config.guild_id);
-        
-        guildChannels.set(config.guild_id, channel);
-        
-        // Add guild_id to each player for tracking
-        players.forEach(player => {
-          allPlayers.push({ ...player, guild_id: config.guild_id });
-        });
-      } catch (error) {
-        console.error(`Error fetching channel for guild ${config.guild_id}:`, error.message);
-      }
+      const players = this.database.getPlayers(config.guild_id);
+      const queueIds = QueueUtils.getGuildQueueIds(config);
+      
+      // Add guild_id and the guild's queues to each player for tracking
+      players.forEach(player => {
+        allPlayers.push({ ...player, guild_id: config.guild_id, queueIds });
+      });
+    }
+
+    // Only check players whose polling tier says they are due
+    const trackedPuuids = [...new Set(allPlayers.map(player => player.puuid))];
+    this.pollScheduler.prune(trackedPuuids);
+    const duePuuids = new Set(this.pollScheduler.getDuePlayers(trackedPuuids));
+
+    // One entry per due PUUID with the player's row in every guild tracking them, so each player is polled once
+    const playerGuilds = new Map();
+    for (const player of allPlayers) {
+      if (!duePuuids.has(player.puuid)) continue;
+      if (!playerGuilds.has(player.puuid)) playerGuilds.set(player.puuid, []);
+      playerGuilds.get(player.puuid).push(player);
     }
+    const duePlayers = [...playerGuilds.values()];
 
-    if (allPlayers.length === 0) {
+    if (duePlayers.length === 0) {
       return;
     }
 
-    console.log(`Checking ${allPlayers.length} players across ${configs.length} guilds...`);
+    console.log(`Checking ${duePlayers.length}/${trackedPuuids.length} due players across ${configs.length} guilds...`);
     
     // Use smaller batch size for better rate limiting
     const batchSize = Math.min(config.batching.autoCheckBatchSize, 10); // Max 10 per batch
     let processedCount = 0;
-    let newMatchesFound = 0;
+    const newResults = [];
+    const rankEvents = [];
     
-    for (let i = 0; i < allPlayers.length; i += batchSize) {
-      const batch = allPlayers.slice(i, i + batchSize);
+    for (let i = 0; i < duePlayers.length; i += batchSize) {
+      const batch = duePlayers.slice(i, i + batchSize);
       
-      // Process batch with priority 1 (lowest priority for background checks)
-      const promises = batch.map(async (player) => {
+      const promises = batch.map(async (entries) => {
+        const { puuid, game_name, tag_line } = entries[0];
         try {
-          const match = await this.riotApi.getLastMatch(player.puuid, 1); // Priority 1 for background checks
-          
-          if (match) {
-            const lastMatchRow = this.database.getLastMatch(player.guild_id, player.puuid);
-            const previousMatchId = lastMatchRow?.match_id;
-            
-            // If this is a new match (different from the last one we saw)
-            if (previousMatchId !== match.matchId) {
-              this.database.setLastMatch(player.guild_id, player.puuid, match.matchId);
-              
-              // Only post if we had a previous match (avoid spam on bot restart)
-              if (previousMatchId) {
-                const channel = guildChannels.get(player.guild_id);
-                if (channel) {
-                  const embed = EmbedUtils.createMatchEmbed(match);
-                  await channel.send({ embeds: [embed] });
-                  console.log(`New match posted for ${match.gameName}#${match.tagLine} in guild ${player.guild_id}`);
-                  newMatchesFound++;
-                }
-              }
-            }
-          }
-          processedCount++;
+          const checked = await this.checkPlayer(entries);
+          newResults.push(...checked.results);
+          rankEvents.push(...checked.rankEvents);
         } catch (error) {
-          console.error(`Error checking match for player ${player.game_name}#${player.tag_line}:`, error.message);
-          processedCount++;
+          console.error(`Error checking match for player ${game_name}#${tag_line}:`, error.message);
         }
+        processedCount++;
+        this.pollScheduler.markPolled(puuid);
       });
       
       // Wait for all requests in this batch to complete
@@ -122,22 +130,21 @@ class MatchChecker {
       const status = this.riotApi.getRateLimiterStatus();
       const metrics = this.riotApi.rateLimiter.getMetrics();
       
-      console.log(`Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(allPlayers.length/batchSize)} complete. ` +
-        `Processed: ${processedCount}/${allPlayers.length}, ` +
-        `New matches: ${newMatchesFound}, ` +
+      console.log(`Batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(duePlayers.length/batchSize)} complete. ` +
+        `Processed: ${processedCount}/${duePlayers.length}, ` +
+        `New matches: ${newResults.length}, ` +
         `Queue: ${status.totalQueued}, ` +
-        `Last second: ${status.requestsLastSecond}, ` +
-        `Last 2min: ${status.requestsLastTwoMinutes}, ` +
+        `Rate limit usage: ${(status.utilization * 100).toFixed(0)}%, ` +
         `Cache hits: ${metrics.cacheHitRate.toFixed(1)}%`);
       
       // Adaptive delay between batches based on rate limiter status
       let delay = 200; // Base delay
       
-      // Increase delay if we're approaching rate limits
-      if (status.requestsLastSecond > this.riotApi.rateLimiter.requestsPerSecond * 0.8) {
+      // Increase delay if any host or method bucket is approaching its limits
+      if (status.utilization > 0.6) {
         delay = 500;
       }
-      if (status.requestsLastTwoMinutes > this.riotApi.rateLimiter.requestsPerTwoMinutes * 0.8) {
+      if (status.utilization > 0.8) {
         delay = 1000;
       }
       
@@ -147,14 +154,369 @@ class MatchChecker {
       }
       
       // Only delay if there are more batches to process
-      if (i + batchSize < allPlayers.length) {
+      if (i + batchSize < duePlayers.length) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
     
+    const newMatchesFound = await this.postNewMatches(newResults);
+    await this.postRankEvents(rankEvents);
+
     console.log(`Auto-check complete. Processed ${processedCount} players, found ${newMatchesFound} new matches.`);
   }
 
+  /**
+   * Check one player for every guild tracking them
+   * Guilds with the same queue filter share one match list, and each guild takes its new
+   * matches from its own list after its own last_matches cursor. A list never depends on
+   * another guild's queues, so a cursor can't drop out of it when those change.
+   * @param {Array} entries - The player's rows, one per guild, with guild_id and queueIds
+   * @returns {Promise<Object>} - { results: [{ guildId, puuid, match }], rankEvents }
+   * @private
+   */
+  async checkPlayer(entries) {
+    const { puuid, platform } = entries[0];
+
+    // Match lists keyed by filter, fetched once each (priority 1 for background checks)
+    const matchLists = new Map();
+    const getMatchIds = (queueFilter) => {
+      const key = JSON.stringify(queueFilter);
+      if (!matchLists.has(key)) {
+        matchLists.set(key, this.riotApi.getMatchIds(puuid, config.matchHistory.lookback, 1, platform, queueFilter));
+      }
+      return matchLists.get(key);
+    };
+
+    // Every match seen is stored once, whichever guilds post it, for /history, /stats and /leaderboard
+    const savedMatchIds = new Set();
+    const saveMatch = (match) => {
+      if (savedMatchIds.has(match.matchId)) return;
+      this.database.saveMatch(match);
+      savedMatchIds.add(match.matchId);
+    };
+
+    const results = [];
+    const checkedGuilds = [];
+    let rankInitialized = false;
+
+    for (const player of entries) {
+      const matchIds = await getMatchIds(QueueUtils.getMatchListFilter(player.queueIds));
+      const previousMatchId = this.database.getLastMatch(player.guild_id, puuid)?.match_id;
+
+      if (!previousMatchId) {
+        // First time this guild sees the player: only remember the latest match (avoid spam on bot restart)
+        if (matchIds.length > 0) {
+          try {
+            saveMatch(await this.riotApi.getMatch(matchIds[0], puuid, 1, platform));
+          } catch (error) {
+            console.error(`Error fetching match ${matchIds[0]}:`, error.message);
+          }
+          this.database.setLastMatch(player.guild_id, puuid, matchIds[0]);
+        }
+        if (!rankInitialized) {
+          await this.rankTracker.initialize(puuid, platform);
+          rankInitialized = true;
+        }
+        continue;
+      }
+
+      // Matches are cached, so guilds sharing games don't load them twice
+      const loaded = await this.riotApi.getMatchesAfter(puuid, matchIds, previousMatchId, 1, platform);
+      loaded.forEach(saveMatch);
+
+      // A cursor outside the list reads as "every recent match is new"; leave out the games
+      // that ended before this guild's cursor, which it has already seen
+      const cursorEnd = matchIds.includes(previousMatchId) ? null : this.database.getMatchEndTime(previousMatchId);
+      const fetched = cursorEnd ? loaded.filter(match => match.gameEndTimestamp > cursorEnd) : loaded;
+
+      // Mixed queue selections are fetched unfiltered; skip games in queues the guild doesn't post
+      const matches = fetched.filter(match => QueueUtils.isQueueEnabled(player.queueIds, match.queueId));
+      if (matches.length === 0 && loaded.length > 0) {
+        this.database.setLastMatch(player.guild_id, puuid, loaded[loaded.length - 1].matchId);
+      }
+
+      // Streak as of each game, so a backlog announces the milestone on the game that reached it
+      matches.forEach(match => {
+        match.streak = this.database.getCurrentStreak(puuid, config.streaks.lookback, match.gameEndTimestamp);
+        results.push({ guildId: player.guild_id, puuid, match });
+      });
+
+      checkedGuilds.push({ player, matches });
+    }
+
+    const rankEvents = await this.applyRankChanges(puuid, platform, checkedGuilds);
+    return { results, rankEvents };
+  }
+
+  /**
+   * Snapshot ranks after new ranked games and attach the LP change to the latest game of each queue
+   * One snapshot covers the ranked queues of every guild's new games; each guild only gets the
+   * changes and events for queues it has new games in. Earlier games in the same queue get no
+   * LP change, since only the total is known.
+   * @param {string} puuid - Player's PUUID
+   * @param {string} platform - Player's platform
+   * @param {Array} checkedGuilds - [{ player, matches }] with each guild's new matches, oldest first
+   * @returns {Promise<Array>} - Rank events ({ guildId, player, queueType, type, before, after })
+   * @private
+   */
+  async applyRankChanges(puuid, platform, checkedGuilds) {
+    const queueTypes = new Set(checkedGuilds
+      .flatMap(({ matches }) => matches.map(match => RankUtils.getQueueType(match.queueId)))
+      .filter(Boolean));
+    if (queueTypes.size === 0) return [];
+
+    const changes = await this.rankTracker.snapshot(puuid, platform, [...queueTypes]);
+
+    const events = [];
+    for (const { player, matches } of checkedGuilds) {
+      for (const [queueType, change] of Object.entries(changes)) {
+        const latestMatch = matches.filter(match => RankUtils.getQueueType(match.queueId) === queueType).pop();
+        if (!latestMatch) continue;
+
+        latestMatch.rankAfter = change.after;
+        if (change.diff !== null) {
+          latestMatch.lpChange = change.diff;
+        }
+
+        change.events.forEach(type => {
+          events.push({ guildId: player.guild_id, player, queueType, type, before: change.before, after: change.after });
+        });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Post promotion, demotion and promo series announcements
+   * @param {Array} events - Rank events with guildId
+   * @private
+   */
+  async postRankEvents(events) {
+    for (const event of events) {
+      try {
+        const channel = await this.router.getChannel(event.guildId, 'rank', {
+          queueId: RankUtils.getQueueId(event.queueType),
+          puuids: [event.player.puuid]
+        });
+        const embed = EmbedUtils.createRankEventEmbed(event);
+        await channel.send({ embeds: [embed] });
+        console.log(`Rank event ${event.type} posted for ${event.player.game_name}#${event.player.tag_line} in guild ${event.guildId}`);
+      } catch (error) {
+        console.error(`Error posting rank event in guild ${event.guildId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Post new matches, combining tracked players who were in the same game
+   * Matches are posted oldest first per guild, and each player's last match is
+   * only advanced once the post went through.
+   * @param {Array} results - Entries of { guildId, puuid, match }
+   * @returns {Promise<number>} - Number of posts sent
+   * @private
+   */
+  async postNewMatches(results) {
+    const groups = new Map();
+    for (const result of results) {
+      const key = `${result.guildId}:${result.match.matchId}`;
+      if (!groups.has(key)) {
+        groups.set(key, { guildId: result.guildId, entries: [] });
+      }
+      groups.get(key).entries.push(result);
+    }
+
+    const orderedGroups = Array.from(groups.values()).sort((a, b) =>
+      (a.entries[0].match.gameEndTimestamp || 0) - (b.entries[0].match.gameEndTimestamp || 0)
+    );
+
+    // Players whose older match failed to post must not skip ahead
+    const blocked = new Set();
+    // One DM per follower per match, even when they follow several players in it
+    const sentDms = new Set();
+    let postsSent = 0;
+
+    for (const group of orderedGroups) {
+      const playerKeys = group.entries.map(entry => `${group.guildId}:${entry.puuid}`);
+      if (playerKeys.some(key => blocked.has(key))) {
+        playerKeys.forEach(key => blocked.add(key));
+        continue;
+      }
+
+      const matches = group.entries.map(entry => entry.match);
+      const guildConfig = this.database.getGuildConfig(group.guildId);
+      const enabledRules = HighlightRules.getEnabledRuleIds(guildConfig);
+      const highlights = matches.map(match => HighlightRules.detect(match, enabledRules));
+      const puuids = group.entries.map(entry => entry.puuid);
+
+      let embed;
+      try {
+        embed = matches.length > 1
+          ? EmbedUtils.createTeamMatchEmbed(matches, highlights)
+          : EmbedUtils.createMatchEmbed(matches[0], highlights[0]);
+        const message = await this.buildMatchMessage(group.guildId, guildConfig, puuids, embed);
+        await this.sendOrEditLiveMessage(group.guildId, matches[0], puuids, message);
+        console.log(`New match ${matches[0].matchId} posted for ${matches.map(m => `${m.gameName}#${m.tagLine}`).join(', ')} in guild ${group.guildId}`);
+        postsSent++;
+
+        for (const entry of group.entries) {
+          this.database.setLastMatch(group.guildId, entry.puuid, entry.match.matchId);
+          this.liveGameTracker.markFinished(entry.puuid);
+        }
+      } catch (error) {
+        console.error(`Error posting match ${matches[0].matchId} in guild ${group.guildId}:`, error.message);
+        playerKeys.forEach(key => blocked.add(key));
+        continue;
+      }
+
+      await this.sendFollowerDms(group.guildId, matches[0].matchId, puuids, embed, sentDms);
+      await this.postHighlights(group.guildId, matches, highlights);
+      await this.postStreakMilestones(group.guildId, matches, StreakUtils.getThresholds(guildConfig));
+    }
+
+    return postsSent;
+  }
+
+  /**
+   * Announce win and loss streaks that reached one of the guild's milestones
+   * @param {string} guildId - Guild ID
+   * @param {Array} matches - Posted matches, one per tracked participant
+   * @param {Object} thresholds - Guild thresholds ({ win, loss })
+   * @private
+   */
+  async postStreakMilestones(guildId, matches, thresholds) {
+    for (const match of matches) {
+      if (!match.streak || !StreakUtils.isMilestone(match.streak, thresholds)) continue;
+
+      try {
+        const channel = await this.router.getChannel(guildId, 'streak', { queueId: match.queueId, puuids: [match.puuid] });
+        await channel.send({ embeds: [EmbedUtils.createStreakEmbed(match, match.streak)] });
+        console.log(`Streak of ${match.streak.count} posted for ${match.gameName}#${match.tagLine} in guild ${guildId}`);
+      } catch (error) {
+        console.error(`Error posting streak in guild ${guildId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Send the match embed to members who follow one of the players with /follow
+   * A closed DM only affects that member, the match itself was posted.
+   * @param {string} guildId - Guild ID
+   * @param {string} matchId - Match ID
+   * @param {Array<string>} puuids - Tracked players in the post
+   * @param {EmbedBuilder} embed - Result embed
+   * @param {Set} sentDms - "userId:matchId" keys already sent this check
+   * @private
+   */
+  async sendFollowerDms(guildId, matchId, puuids, embed, sentDms) {
+    const followerIds = new Set(puuids.flatMap(puuid => this.database.getFollowerIds(guildId, puuid)));
+
+    for (const userId of followerIds) {
+      const key = `${userId}:${matchId}`;
+      if (sentDms.has(key)) continue;
+      sentDms.add(key);
+
+      try {
+        const user = await this.client.users.fetch(userId);
+        await user.send({ embeds: [embed] });
+      } catch (error) {
+        console.error(`Error sending match DM to user ${userId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Give highlights like pentakills their own announcement after the match post
+   * A failure here doesn't hold back the player, the match itself was posted.
+   * @param {string} guildId - Guild ID
+   * @param {Array} matches - Posted matches, one per tracked participant
+   * @param {Array<Array>} highlights - Highlights per match, in the same order
+   * @private
+   */
+  async postHighlights(guildId, matches, highlights) {
+    for (const [index, match] of matches.entries()) {
+      for (const highlight of highlights[index].filter(h => h.separatePost)) {
+        try {
+          const channel = await this.router.getChannel(guildId, 'highlight', { queueId: match.queueId, puuids: [match.puuid] });
+          await channel.send({ embeds: [EmbedUtils.createHighlightEmbed(match, highlight)] });
+          console.log(`Highlight ${highlight.id} posted for ${match.gameName}#${match.tagLine} in guild ${guildId}`);
+        } catch (error) {
+          console.error(`Error posting highlight ${highlight.id} in guild ${guildId}:`, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Show the Discord members linked to the players, as a mention or as the embed author
+   * Looking up a member only decorates the post, so a failure leaves it plain.
+   * @param {string} guildId - Guild ID
+   * @param {Object} guildConfig - Guild config row
+   * @param {Array<string>} puuids - Tracked players in the post
+   * @param {EmbedBuilder} embed - Result embed
+   * @returns {Promise<Object>} - Message options ({ embeds, content, allowedMentions })
+   * @private
+   */
+  async buildMatchMessage(guildId, guildConfig, puuids, embed) {
+    const message = { embeds: [embed] };
+    const { display } = LinkUtils.getSettings(guildConfig);
+    if (display === 'off') return message;
+
+    const memberIds = LinkUtils.getMemberIds(this.database.getMemberLinks(guildId), puuids);
+    if (memberIds.length === 0) return message;
+
+    if (display === 'mention') {
+      message.content = memberIds.map(id => `<@${id}>`).join(' ');
+      message.allowedMentions = { users: memberIds };
+      return message;
+    }
+
+    try {
+      const users = await Promise.all(memberIds.map(id => this.client.users.fetch(id)));
+      embed.setAuthor({
+        name: users.map(user => user.globalName || user.username).join(', '),
+        iconURL: users[0].displayAvatarURL()
+      });
+    } catch (error) {
+      console.error(`Error fetching linked members in guild ${guildId}:`, error.message);
+    }
+    return message;
+  }
+
+  /**
+   * Replace the live game announcement with the result, or post a new message
+   * When live games are routed to another channel than match results, the
+   * announcement is completed there and the result is posted as well.
+   * @param {string} guildId - Guild ID
+   * @param {Object} match - Match data (first tracked participant)
+   * @param {Array<string>} puuids - Tracked players in the post
+   * @param {Object} message - Message options from buildMatchMessage
+   * @private
+   */
+  async sendOrEditLiveMessage(guildId, match, puuids, message) {
+    const { matchId } = match;
+    const channelId = this.router.getChannelId(guildId, 'match', { queueId: match.queueId, puuids });
+    const liveGame = this.database.getLiveGame(guildId, matchId);
+
+    if (liveGame) {
+      this.database.deleteLiveGame(guildId, matchId);
+      try {
+        const liveChannel = await this.client.channels.fetch(liveGame.channel_id);
+        const liveMessage = await liveChannel.messages.fetch(liveGame.message_id);
+        await liveMessage.edit(message);
+        if (liveGame.channel_id === channelId) return;
+      } catch (error) {
+        console.error(`Error editing live game message for ${matchId}, posting instead:`, error.message);
+      }
+    }
+
+    if (!channelId) {
+      throw new Error(`Guild ${guildId} is not configured`);
+    }
+    const channel = await this.client.channels.fetch(channelId);
+    await channel.send(message);
+  }
+
   /**
    * Get match checker status
    * @returns {Object} - Status information
@@ -169,22 +531,19 @@ class MatchChecker {
   }
 
   /**
-   * Update check interval based on player count
+   * Estimate the background API load of the current polling schedule
+   * Match and rank lookups for new games come on top of these.
+   * @returns {Object} - { tiers: { name: count }, matchRequestsPerMinute, liveRequestsPerMinute }
    */
-  updateInterval() {
-    if (!this.isRunning) return;
+  getPollingBudget() {
+    const puuids = [...new Set(this.database.getAllPlayers().map(player => player.puuid))];
+    const { tiers, requestsPerMinute } = this.pollScheduler.getBudget(puuids);
 
-    const totalPlayers = this.database.getTotalPlayerCount().total_players;
-    const newInterval = config.getDynamicInterval(totalPlayers);
-    
-    if (this.checkInterval) {
-      clearInterval(this.checkInterval);
-      this.checkInterval = setInterval(() => {
-        this.autoCheckMatches();
-      }, newInterval);
-      
-      console.log(`Match checker interval updated to ${newInterval / 1000} seconds for ${totalPlayers} players`);
-    }
+    return {
+      tiers,
+      matchRequestsPerMinute: requestsPerMinute,
+      liveRequestsPerMinute: this.liveGameTracker.getExpectedRequestsPerMinute(puuids)
+    };
   }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * Poll Scheduler
+ * Decides which tracked players are due for a match check, based on recent activity:
+ * players seen in a live game get a fast lane, dormant accounts are checked less often.
+ */
+const config = require('../config');
+
+class PollScheduler {
+  /**
+   * @param {Object} database - DatabaseManager (last played times)
+   * @param {Object} liveGameTracker - LiveGameTracker (players currently in game), optional
+   */
+  constructor(database, liveGameTracker = null) {
+    this.database = database;
+    this.liveGameTracker = liveGameTracker;
+
+    // PUUID -> timestamp of the last match check
+    this.lastPolledAt = new Map();
+  }
+
+  /**
+   * Get the polling tier for a player
+   * @param {number|null} lastPlayedAt - End of the player's last stored match
+   * @param {boolean} isLive - Whether the player was seen in a live game
+   * @param {number} playerCount - Tracked players, used for the active tier's interval
+   * @param {number} now - Current timestamp
+   * @returns {Object} - { name, interval }
+   */
+  static getTier(lastPlayedAt, isLive, playerCount, now = Date.now()) {
+    const { liveInterval, tiers } = config.polling;
+    if (isLive) {
+      return { name: 'live', interval: liveInterval };
+    }
+
+    const idleFor = lastPlayedAt ? now - lastPlayedAt : Infinity;
+    const tier = tiers.find(t => idleFor < t.idleFor) || tiers[tiers.length - 1];
+    return { name: tier.name, interval: tier.interval ?? config.getDynamicInterval(playerCount) };
+  }
+
+  /**
+   * Get a player's current tier
+   * @private
+   */
+  getPlayerTier(puuid, playerCount, now) {
+    const isLive = Boolean(this.liveGameTracker && this.liveGameTracker.isInGame(puuid));
+    return PollScheduler.getTier(this.database.getLastPlayedAt(puuid), isLive, playerCount, now);
+  }
+
+  /**
+   * Get the players due for a check, most overdue first
+   * Players never checked since startup are due right away.
+   * @param {Array<string>} puuids - Tracked PUUIDs (without duplicates)
+   * @param {number} now - Current timestamp
+   * @returns {Array<string>} - Due PUUIDs, at most config.polling.maxPlayersPerCheck
+   */
+  getDuePlayers(puuids, now = Date.now()) {
+    return puuids
+      .map(puuid => {
+        const lastPolledAt = this.lastPolledAt.get(puuid);
+        const dueAt = lastPolledAt === undefined
+          ? 0
+          : lastPolledAt + this.getPlayerTier(puuid, puuids.length, now).interval;
+        return { puuid, dueAt };
+      })
+      .filter(player => player.dueAt <= now)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .slice(0, config.polling.maxPlayersPerCheck)
+      .map(player => player.puuid);
+  }
+
+  /**
+   * Record that a player was checked
+   * @param {string} puuid - Player's PUUID
+   * @param {number} now - Check time
+   */
+  markPolled(puuid, now = Date.now()) {
+    this.lastPolledAt.set(puuid, now);
+  }
+
+  /**
+   * Forget players that are no longer tracked
+   * @param {Array<string>} puuids - Tracked PUUIDs
+   */
+  prune(puuids) {
+    const tracked = new Set(puuids);
+    for (const puuid of this.lastPolledAt.keys()) {
+      if (!tracked.has(puuid)) this.lastPolledAt.delete(puuid);
+    }
+  }
+
+  /**
+   * Estimate the match polling load of the current schedule
+   * Each check fetches one match list per player and queue filter, however many guilds track them,
+   * so this counts one list per player as a lower bound.
+   * @param {Array<string>} puuids - Tracked PUUIDs (without duplicates)
+   * @param {number} now - Current timestamp
+   * @returns {Object} - { tiers: { name: count }, requestsPerMinute }
+   */
+  getBudget(puuids, now = Date.now()) {
+    const tiers = {};
+    let requestsPerMinute = 0;
+
+    for (const puuid of puuids) {
+      const tier = this.getPlayerTier(puuid, puuids.length, now);
+      tiers[tier.name] = (tiers[tier.name] || 0) + 1;
+      // Checks can't run more often than the match checker loop
+      requestsPerMinute += 60000 / Math.max(tier.interval, config.intervals.baseCheckInterval);
+    }
+
+    return { tiers, requestsPerMinute };
+  }
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,95 @@
+/**
+ * Rank Tracker Service
+ * Snapshots ranked entries around games to report LP changes and rank events
+ */
+const RankUtils = require('../utils/RankUtils');
+
+class RankTracker {
+  constructor(database, riotApi) {
+    this.database = database;
+    this.riotApi = riotApi;
+  }
+
+  /**
+   * Store a baseline snapshot for every ranked queue a player has no snapshot for yet
+   * @param {string} puuid - Player's PUUID
+   * @param {string} platform - Player's platform
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   */
+  async initialize(puuid, platform, priority = 1) {
+    const entries = await this.riotApi.getPlayerRanks(puuid, priority, platform);
+    if (!entries) return;
+
+    for (const entry of entries) {
+      if (!RankUtils.isRankedQueueType(entry.queueType)) continue;
+      if (!this.database.getLatestRankSnapshot(puuid, entry.queueType)) {
+        this.database.saveRankSnapshot(puuid, entry);
+      }
+    }
+  }
+
+  /**
+   * Snapshot the given queues after new games and compare with the previous snapshot
+   * @param {string} puuid - Player's PUUID
+   * @param {string} platform - Player's platform
+   * @param {Array<string>} queueTypes - League queue types that had new games
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   * @returns {Promise<Object>} - Changes keyed by queue type: { before, after, diff, events }
+   */
+  async snapshot(puuid, platform, queueTypes, priority = 1) {
+    const entries = await this.riotApi.getPlayerRanks(puuid, priority, platform);
+    if (!entries) return {};
+
+    const changes = {};
+    for (const queueType of queueTypes) {
+      const after = entries.find(entry => entry.queueType === queueType);
+      // No entry yet means the player is still in placements
+      if (!after) continue;
+
+      const before = this.database.getLatestRankSnapshot(puuid, queueType) || null;
+      this.database.saveRankSnapshot(puuid, after);
+
+      changes[queueType] = {
+        before,
+        after,
+        diff: before ? RankUtils.toScore(after) - RankUtils.toScore(before) : null,
+        events: RankTracker.detectEvents(before, after)
+      };
+    }
+
+    return changes;
+  }
+
+  /**
+   * Detect promotions, demotions and promo series changes between two snapshots
+   * @param {Object|null} before - Previous snapshot (database row)
+   * @param {Object} after - Current league entry (API format)
+   * @returns {Array<string>} - Event types: promotion, demotion, series_start, series_end
+   */
+  static detectEvents(before, after) {
+    if (!before || !after) return [];
+
+    const events = [];
+    const beforeIndex = RankUtils.toDivisionIndex(before);
+    const afterIndex = RankUtils.toDivisionIndex(after);
+
+    if (afterIndex > beforeIndex) {
+      events.push('promotion');
+    } else if (afterIndex < beforeIndex) {
+      events.push('demotion');
+    }
+
+    const wasInSeries = Boolean(before.mini_series);
+    const isInSeries = Boolean(after.miniSeries);
+    if (!wasInSeries && isInSeries) {
+      events.push('series_start');
+    } else if (wasInSeries && !isInSeries && !events.includes('promotion')) {
+      // Leaving a series without promoting means it was lost
+      events.push('series_end');
+    }
+
+    return events;
+  }
+}
+
+module.exports = RankTracker;
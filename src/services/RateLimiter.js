@@ -1,18 +1,49 @@
 /**
  * Advanced Rate Limiter Service
  * Manages API request rate limiting for Riot Games API with intelligent queuing
- * Respects 20 requests/second and 100 requests/2 minutes limits
+ * Keeps one bucket per routing host for the application limit and one per (host, method)
+ * for method limits, both sized from the X-App-Rate-Limit and X-Method-Rate-Limit headers
+ * Buckets are saved to the database so a restart (or a crash loop) doesn't reset the windows
  */
+const config = require('../config');
+const ApiCache = require('./ApiCache');
+
+/**
+ * Parse a Riot rate limit header, e.g. "20:1,100:120" -> [{ count: 20, window: 1000 }, ...]
+ * @param {string} value - Header value ("count:seconds" pairs)
+ * @returns {Array} - Limits ({ count, window } with window in ms), empty when missing
+ */
+function parseLimitHeader(value) {
+  if (!value) return [];
+  return String(value).split(',').map(pair => {
+    const [count, seconds] = pair.split(':').map(Number);
+    return { count, window: seconds * 1000 };
+  }).filter(limit => Number.isFinite(limit.count) && limit.window > 0);
+}
+
+/**
+ * Describe limits for logs and status, e.g. "18/1s, 90/120s"
+ * @param {Array} limits - Limits ({ count, window })
+ * @returns {string} - Description
+ */
+function formatLimits(limits) {
+  return limits.map(limit => `${limit.count}/${limit.window / 1000}s`).join(', ') || 'unknown';
+}
+
 class RateLimiter {
-  constructor() {
-    // Rate limits (conservative to avoid blocks)
-    this.requestsPerSecond = 18; // 18 instead of 20 for safety margin
-    this.requestsPerTwoMinutes = 95; // 95 instead of 100 for safety margin
-    
-    // Request tracking
-    this.requestTimes = [];
-    this.twoMinuteRequests = [];
-    
+  /**
+   * @param {Object} store - Optional database for rate limit buckets and cached match data
+   */
+  constructor(store = null) {
+    // Application limits used for a host until Riot reports the real ones
+    this.defaultAppLimits = [
+      { count: config.rateLimiting.requestsPerSecond, window: 1000 },
+      { count: config.rateLimiting.requestsPerTwoMinutes, window: 120000 }
+    ];
+
+    // Request tracking: app buckets keyed by host, method buckets keyed by "host method"
+    this.buckets = new Map();
+
     // Priority queues (higher number = higher priority)
     this.priorityQueues = {
       1: [], // Low priority (background checks)
@@ -20,18 +51,17 @@ class RateLimiter {
       3: [], // High priority (critical operations)
       4: []  // Emergency priority (user interactions)
     };
-    
+
     // Processing state
     this.isProcessing = false;
     this.consecutiveErrors = 0;
     this.lastErrorTime = 0;
     this.backoffMultiplier = 1;
     this.maxBackoffMultiplier = 8;
-    
-    // Request cache
-    this.cache = new Map();
-    this.cacheTimeout = 30000; // 30 seconds cache
-    
+
+    // Response cache with a TTL per key prefix
+    this.cache = new ApiCache(store);
+
     // Metrics
     this.metrics = {
       totalRequests: 0,
@@ -42,35 +72,109 @@ class RateLimiter {
       averageResponseTime: 0,
       lastResetTime: Date.now()
     };
-    
+
+    // Persistence
+    this.store = store;
+    this.lastSaveTime = 0;
+    this.saveTimer = null;
+    this.restoreState();
+
     // Start processing loop
     this.startProcessing();
   }
 
+  /**
+   * Restore buckets saved before the last shutdown
+   * Expired request times are dropped by getBucket; a Retry-After deadline still in the future is kept.
+   * @private
+   */
+  restoreState() {
+    if (!this.store) return;
+
+    try {
+      const saved = this.store.getRateLimitBuckets();
+      for (const { key, limits, requestTimes, blockedUntil } of saved) {
+        this.buckets.set(key, { limits, requestTimes, blockedUntil });
+        this.getBucket(key);
+      }
+
+      const blocked = saved.filter(bucket => bucket.blockedUntil > Date.now());
+      if (saved.length > 0) {
+        console.log(`Restored ${saved.length} rate limit buckets` +
+          (blocked.length > 0 ? ` (${blocked.length} still blocked by Retry-After)` : ''));
+      }
+    } catch (error) {
+      console.error('Error restoring rate limiter state:', error.message);
+    }
+  }
+
+  /**
+   * Save buckets to the store
+   */
+  saveState() {
+    if (!this.store) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.lastSaveTime = Date.now();
+
+    try {
+      const buckets = [...this.buckets.keys()].map(key => {
+        const { limits, requestTimes, blockedUntil } = this.getBucket(key);
+        return { key, limits, requestTimes, blockedUntil };
+      });
+      this.store.saveRateLimitBuckets(buckets);
+    } catch (error) {
+      console.error('Error saving rate limiter state:', error.message);
+    }
+  }
+
+  /**
+   * Save buckets at most once per persist interval
+   * The first request after a quiet period is saved right away, so a crash shortly
+   * after startup still leaves its burst on record.
+   * @private
+   */
+  scheduleSave() {
+    if (!this.store || this.saveTimer) return;
+
+    const wait = this.lastSaveTime + config.rateLimiting.persistInterval - Date.now();
+    if (wait <= 0) {
+      this.saveState();
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => this.saveState(), wait);
+    this.saveTimer.unref();
+  }
+
   /**
    * Add a request to the queue with priority
+   * The request function resolves to { data, headers } so the limiter can read Riot's
+   * rate limit headers; callers get data. Rejections may carry status, headers and retryAfter.
    * @param {Function} requestFn - The function that makes the API request
    * @param {Object} options - Request options
    * @param {number} options.priority - Priority level (1-4, default: 1)
    * @param {string} options.cacheKey - Optional cache key for deduplication
    * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   * @param {string} options.host - Routing host the request counts against (default: 'default')
+   * @param {string} options.method - API method the request counts against (default: 'default')
    * @returns {Promise} - Resolves when the request is processed
    */
   async addRequest(requestFn, options = {}) {
     const {
       priority = 1,
       cacheKey = null,
-      timeout = 10000
+      timeout = 10000,
+      host = 'default',
+      method = 'default'
     } = options;
 
     // Check cache first
-    if (cacheKey && this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        this.metrics.cacheHits++;
-        return cached.data;
-      }
-      this.cache.delete(cacheKey);
+    const cached = cacheKey ? this.cache.get(cacheKey) : undefined;
+    if (cached !== undefined) {
+      this.metrics.cacheHits++;
+      return cached;
     }
 
     return new Promise((resolve, reject) => {
@@ -81,6 +185,8 @@ class RateLimiter {
         priority: Math.max(1, Math.min(4, priority)),
         cacheKey,
         timeout,
+        host,
+        method,
         timestamp: Date.now(),
         retryCount: 0
       };
@@ -96,7 +202,7 @@ class RateLimiter {
    */
   startProcessing() {
     if (this.isProcessing) return;
-    
+
     this.isProcessing = true;
     this.processLoop();
   }
@@ -108,23 +214,23 @@ class RateLimiter {
   async processLoop() {
     while (this.isProcessing) {
       try {
-        const request = this.getNextRequest();
-        
-        if (!request) {
+        if (this.getTotalQueued() === 0) {
           // No requests available, wait a bit
           await new Promise(resolve => setTimeout(resolve, 100));
           continue;
         }
 
-        // Check rate limits
-        if (!this.canMakeRequest()) {
+        // Pick a request whose buckets still have budget
+        const request = this.getNextRequest();
+
+        if (!request) {
           await this.waitForRateLimit();
           continue;
         }
 
         // Execute request
         await this.executeRequest(request);
-        
+
       } catch (error) {
         console.error('Rate limiter processing error:', error);
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -132,53 +238,165 @@ class RateLimiter {
     }
   }
 
+  /**
+   * Get the total number of queued requests
+   * @private
+   */
+  getTotalQueued() {
+    return Object.values(this.priorityQueues).reduce((sum, queue) => sum + queue.length, 0);
+  }
+
   /**
    * Get the next request to process based on priority
+   * Requests whose host or method is out of budget are skipped so others keep flowing.
    * @private
    */
   getNextRequest() {
     // Check queues in priority order (4 -> 3 -> 2 -> 1)
     for (let priority = 4; priority >= 1; priority--) {
-      if (this.priorityQueues[priority].length > 0) {
-        return this.priorityQueues[priority].shift();
+      const queue = this.priorityQueues[priority];
+      const index = queue.findIndex(request => this.canMakeRequest(request));
+      if (index !== -1) {
+        return queue.splice(index, 1)[0];
       }
     }
     return null;
   }
 
   /**
-   * Check if we can make a request without hitting rate limits
+   * Get a bucket, dropping request times older than its longest window
+   * @param {string} key - Host for the app bucket, "host method" for a method bucket
+   * @param {Array} defaultLimits - Limits until Riot reports them
    * @private
    */
-  canMakeRequest() {
+  getBucket(key, defaultLimits = []) {
     const now = Date.now();
-    
-    // Clean old request times
-    this.requestTimes = this.requestTimes.filter(time => now - time < 1000);
-    this.twoMinuteRequests = this.twoMinuteRequests.filter(time => now - time < 120000);
-    
-    // Check limits with safety margins
-    const canMakeSecondRequest = this.requestTimes.length < this.requestsPerSecond;
-    const canMakeTwoMinuteRequest = this.twoMinuteRequests.length < this.requestsPerTwoMinutes;
-    
-    return canMakeSecondRequest && canMakeTwoMinuteRequest;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = { limits: defaultLimits.map(limit => ({ ...limit })), requestTimes: [], blockedUntil: 0 };
+      this.buckets.set(key, bucket);
+    }
+
+    const longestWindow = Math.max(120000, ...bucket.limits.map(limit => limit.window));
+    const firstKept = bucket.requestTimes.findIndex(time => now - time < longestWindow);
+    bucket.requestTimes = firstKept === -1 ? [] : bucket.requestTimes.slice(firstKept);
+
+    return bucket;
+  }
+
+  /**
+   * Get the app and method buckets a request counts against
+   * @private
+   */
+  getRequestBuckets(request) {
+    return [
+      this.getBucket(request.host, this.defaultAppLimits),
+      this.getBucket(`${request.host} ${request.method}`)
+    ];
+  }
+
+  /**
+   * Count a bucket's requests inside a window
+   * @private
+   */
+  countInWindow(bucket, window, now = Date.now()) {
+    const index = bucket.requestTimes.findIndex(time => now - time < window);
+    return index === -1 ? 0 : bucket.requestTimes.length - index;
+  }
+
+  /**
+   * Get how long a bucket has to wait before its next request
+   * @param {Object} bucket - Bucket from getBucket
+   * @returns {number} - Wait in ms, 0 when a request can go now
+   * @private
+   */
+  getWaitTime(bucket, now = Date.now()) {
+    let wait = Math.max(0, bucket.blockedUntil - now);
+
+    for (const limit of bucket.limits) {
+      const used = this.countInWindow(bucket, limit.window, now);
+      if (used < limit.count) continue;
+
+      // Wait until enough of the window's requests have expired to free one slot
+      const inWindow = bucket.requestTimes.slice(bucket.requestTimes.length - used);
+      wait = Math.max(wait, inWindow[used - limit.count] + limit.window - now);
+    }
+
+    return wait;
   }
 
   /**
-   * Wait for rate limit to reset
+   * Check if a request can be made without hitting its app or method limits
+   * @param {Object} request - Queued request
+   * @private
+   */
+  canMakeRequest(request) {
+    return this.getRequestBuckets(request).every(bucket => this.getWaitTime(bucket) === 0);
+  }
+
+  /**
+   * Wait until the first queued request has budget again
    * @private
    */
   async waitForRateLimit() {
-    const now = Date.now();
-    const timeUntilSecondReset = this.requestTimes.length > 0 ? 
-      1000 - (now - this.requestTimes[0]) + 50 : 0;
-    const timeUntilTwoMinuteReset = this.twoMinuteRequests.length > 0 ? 
-      120000 - (now - this.twoMinuteRequests[0]) + 50 : 0;
-    
-    const waitTime = Math.max(timeUntilSecondReset, timeUntilTwoMinuteReset, 50);
+    let waitTime = Infinity;
+    Object.values(this.priorityQueues).forEach(queue => {
+      queue.forEach(request => {
+        const wait = Math.max(...this.getRequestBuckets(request).map(bucket => this.getWaitTime(bucket)));
+        waitTime = Math.min(waitTime, wait + 50);
+      });
+    });
+
+    // Re-check at least every second so requests queued meanwhile are not held back
+    waitTime = Math.min(Math.max(Number.isFinite(waitTime) ? waitTime : 0, 50), 1000);
     await new Promise(resolve => setTimeout(resolve, waitTime));
   }
 
+  /**
+   * Resize a bucket from Riot's limit and count headers
+   * Limits are scaled by the safety factor. When Riot has counted more requests than we
+   * have (e.g. right after a restart), the difference is added so the windows match.
+   * @param {string} key - Bucket key
+   * @param {Object} bucket - Bucket from getBucket
+   * @param {string} limitHeader - e.g. "20:1,100:120"
+   * @param {string} countHeader - e.g. "3:1,40:120"
+   * @private
+   */
+  applyLimitHeaders(key, bucket, limitHeader, countHeader) {
+    const limits = parseLimitHeader(limitHeader).map(limit => ({
+      count: Math.max(1, Math.floor(limit.count * config.rateLimiting.safetyFactor)),
+      window: limit.window
+    }));
+
+    if (limits.length > 0 && formatLimits(limits) !== formatLimits(bucket.limits)) {
+      console.log(`Rate limits for ${key}: ${formatLimits(limits)}`);
+      bucket.limits = limits;
+    }
+
+    const now = Date.now();
+    for (const reported of parseLimitHeader(countHeader)) {
+      const missing = reported.count - this.countInWindow(bucket, reported.window, now);
+      for (let i = 0; i < missing; i++) {
+        bucket.requestTimes.push(now);
+      }
+    }
+  }
+
+  /**
+   * Update a request's buckets from response headers
+   * @param {Object} request - Executed request
+   * @param {Object} headers - Response headers (lowercase names)
+   * @private
+   */
+  applyHeaders(request, headers) {
+    if (!headers) return;
+
+    const [appBucket, methodBucket] = this.getRequestBuckets(request);
+    this.applyLimitHeaders(request.host, appBucket, headers['x-app-rate-limit'], headers['x-app-rate-limit-count']);
+    this.applyLimitHeaders(`${request.host} ${request.method}`, methodBucket, headers['x-method-rate-limit'], headers['x-method-rate-limit-count']);
+  }
+
   /**
    * Execute a request with proper error handling and retry logic
    * @private
@@ -186,95 +404,73 @@ class RateLimiter {
   async executeRequest(request) {
     const startTime = Date.now();
     const now = Date.now();
-    
+
     try {
       // Add to rate limit tracking
-      this.requestTimes.push(now);
-      this.twoMinuteRequests.push(now);
-      
+      this.getRequestBuckets(request).forEach(bucket => bucket.requestTimes.push(now));
+      this.scheduleSave();
+
       // Set up timeout
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error('Request timeout')), request.timeout);
       });
-      
+
       // Execute request with timeout
-      const result = await Promise.race([
+      const response = await Promise.race([
         request.requestFn(),
         timeoutPromise
       ]);
-      
+      this.applyHeaders(request, response.headers);
+      const result = response.data;
+
       // Update metrics
       const responseTime = Date.now() - startTime;
       this.updateMetrics(true, responseTime);
-      
+
       // Cache result if cache key provided
       if (request.cacheKey) {
-        this.cache.set(request.cacheKey, {
-          data: result,
-          timestamp: now
-        });
+        this.cache.set(request.cacheKey, result);
       }
-      
+
       request.resolve(result);
-      
+
     } catch (error) {
       this.updateMetrics(false);
-      
-      // Handle rate limit errors with adaptive backoff
-      if (error.message.includes('429') || error.message.includes('rate limit')) {
+      this.applyHeaders(request, error.headers);
+
+      if (error.status === 429) {
         this.metrics.rateLimitHits++;
         this.consecutiveErrors++;
         this.lastErrorTime = now;
-        
-        // Extract retry-after header if available
-        let retryAfter = 1;
-        if (error.message.includes('Retry after')) {
-          const match = error.message.match(/Retry after (\d+)/);
-          if (match) {
-            retryAfter = parseInt(match[1]);
-          }
-        }
-        
-        // Adaptive backoff based on retry-after header
-        const backoffTime = Math.min(
-          Math.max(
-            retryAfter * 1000, // Use retry-after if available
-            1000 * Math.pow(2, this.consecutiveErrors) * this.backoffMultiplier
-          ),
-          30000 // Max 30 seconds
-        );
-        
-        console.warn(`Rate limit hit. Backing off for ${backoffTime}ms (attempt ${request.retryCount + 1})`);
-        
-        // Adjust rate limits based on consecutive errors
-        if (this.consecutiveErrors > 2) {
-          this.requestsPerSecond = Math.max(10, this.requestsPerSecond - 2);
-          this.requestsPerTwoMinutes = Math.max(50, this.requestsPerTwoMinutes - 10);
-          console.warn(`Reducing rate limits due to consecutive errors: ${this.requestsPerSecond}/s, ${this.requestsPerTwoMinutes}/2min`);
-        }
-        
-        // Retry with backoff
+        this.backoffMultiplier = Math.min(this.maxBackoffMultiplier, this.backoffMultiplier * 2);
+
+        // Without Retry-After (e.g. an overloaded service), back off exponentially
+        const backoffTime = error.retryAfter
+          ? error.retryAfter * 1000
+          : Math.min(1000 * Math.pow(2, this.consecutiveErrors) * this.backoffMultiplier, 30000);
+
+        // Block whichever limit Riot says was hit; service limits are per method
+        const [appBucket, methodBucket] = this.getRequestBuckets(request);
+        const limitType = error.headers && error.headers['x-rate-limit-type'];
+        const bucket = limitType === 'application' ? appBucket : methodBucket;
+        bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + backoffTime);
+        this.saveState();
+
+        console.warn(`Rate limit hit (${limitType || 'unknown'}) on ${request.host} ${request.method}. ` +
+          `Backing off for ${backoffTime}ms (attempt ${request.retryCount + 1})`);
+
+        // Retry once the bucket is unblocked
         if (request.retryCount < 3) {
           request.retryCount++;
-          setTimeout(() => {
-            this.priorityQueues[request.priority].unshift(request);
-          }, backoffTime);
+          this.priorityQueues[request.priority].unshift(request);
           return;
         }
       } else {
         // Reset backoff on non-rate-limit errors
         this.consecutiveErrors = 0;
         this.backoffMultiplier = 1;
-        
-        // Gradually restore rate limits after successful periods
-        if (this.requestsPerSecond < 18) {
-          this.requestsPerSecond = Math.min(18, this.requestsPerSecond + 1);
-        }
-        if (this.requestsPerTwoMinutes < 95) {
-          this.requestsPerTwoMinutes = Math.min(95, this.requestsPerTwoMinutes + 5);
-        }
       }
-      
+
       request.reject(error);
     }
   }
@@ -291,11 +487,11 @@ class RateLimiter {
     } else {
       this.metrics.failedRequests++;
     }
-    
+
     // Update average response time
     if (responseTime > 0) {
       const total = this.metrics.successfulRequests + this.metrics.failedRequests;
-      this.metrics.averageResponseTime = 
+      this.metrics.averageResponseTime =
         (this.metrics.averageResponseTime * (total - 1) + responseTime) / total;
     }
   }
@@ -305,9 +501,26 @@ class RateLimiter {
    * @returns {Object} - Status information
    */
   getQueueStatus() {
+    const totalQueued = this.getTotalQueued();
     const now = Date.now();
-    const totalQueued = Object.values(this.priorityQueues).reduce((sum, queue) => sum + queue.length, 0);
-    
+
+    // Usage of every limit of every bucket, and the fullest one overall
+    const buckets = [];
+    let utilization = 0;
+    for (const key of this.buckets.keys()) {
+      const bucket = this.getBucket(key);
+      const limits = bucket.limits.map(limit => ({ ...limit, used: this.countInWindow(bucket, limit.window, now) }));
+      limits.forEach(limit => {
+        utilization = Math.max(utilization, limit.used / limit.count);
+      });
+      buckets.push({
+        key,
+        type: key.includes(' ') ? 'method' : 'app',
+        limits,
+        blockedFor: Math.max(0, bucket.blockedUntil - now)
+      });
+    }
+
     return {
       totalQueued,
       priorityQueues: {
@@ -316,12 +529,13 @@ class RateLimiter {
         3: this.priorityQueues[3].length,
         4: this.priorityQueues[4].length
       },
-      requestsLastSecond: this.requestTimes.length,
-      requestsLastTwoMinutes: this.twoMinuteRequests.length,
+      utilization,
+      buckets,
       isProcessing: this.isProcessing,
       consecutiveErrors: this.consecutiveErrors,
       backoffMultiplier: this.backoffMultiplier,
       cacheSize: this.cache.size,
+      cache: this.cache.getStats(),
       metrics: { ...this.metrics }
     };
   }
@@ -333,14 +547,14 @@ class RateLimiter {
   getMetrics() {
     const now = Date.now();
     const uptime = now - this.metrics.lastResetTime;
-    
+
     return {
       ...this.metrics,
       uptime,
       requestsPerMinute: (this.metrics.totalRequests / uptime) * 60000,
-      successRate: this.metrics.totalRequests > 0 ? 
+      successRate: this.metrics.totalRequests > 0 ?
         (this.metrics.successfulRequests / this.metrics.totalRequests) * 100 : 0,
-      cacheHitRate: this.metrics.totalRequests > 0 ? 
+      cacheHitRate: this.metrics.totalRequests > 0 ?
         (this.metrics.cacheHits / this.metrics.totalRequests) * 100 : 0
     };
   }
@@ -350,18 +564,18 @@ class RateLimiter {
    */
   clearQueue() {
     Object.values(this.priorityQueues).forEach(queue => queue.length = 0);
-    this.requestTimes = [];
-    this.twoMinuteRequests = [];
+    this.buckets.clear();
     this.consecutiveErrors = 0;
     this.backoffMultiplier = 1;
     this.cache.clear();
   }
 
   /**
-   * Stop processing and clear all queues
+   * Stop processing, save buckets for the next start and clear all queues
    */
   stop() {
     this.isProcessing = false;
+    this.saveState();
     this.clearQueue();
   }
 
@@ -381,11 +595,14 @@ class RateLimiter {
   }
 
   /**
-   * Reset rate limits to default values
+   * Forget limits learned from headers and any backoff
+   * They are learned again from the next responses.
    */
   resetRateLimits() {
-    this.requestsPerSecond = 18;
-    this.requestsPerTwoMinutes = 95;
+    for (const [key, bucket] of this.buckets) {
+      bucket.limits = key.includes(' ') ? [] : this.defaultAppLimits.map(limit => ({ ...limit }));
+      bucket.blockedUntil = 0;
+    }
     this.consecutiveErrors = 0;
     this.backoffMultiplier = 1;
     console.log('Rate limits reset to default values');
@@ -396,13 +613,20 @@ class RateLimiter {
    * @returns {Object} - Current rate limit settings
    */
   getRateLimitSettings() {
+    const limits = {};
+    for (const [key, bucket] of this.buckets) {
+      limits[key] = formatLimits(bucket.limits);
+    }
+
     return {
-      requestsPerSecond: this.requestsPerSecond,
-      requestsPerTwoMinutes: this.requestsPerTwoMinutes,
+      limits,
       consecutiveErrors: this.consecutiveErrors,
       backoffMultiplier: this.backoffMultiplier
     };
   }
 }
 
+RateLimiter.parseLimitHeader = parseLimitHeader;
+RateLimiter.formatLimits = formatLimits;
+
 module.exports = RateLimiter;
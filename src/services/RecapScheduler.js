@@ -0,0 +1,229 @@
+/**
+ * Recap Scheduler Service
+ * Posts weekly and monthly recaps of each guild's stored games on the guild's schedule
+ */
+const config = require('../config');
+const EmbedUtils = require('../utils/EmbedBuilder');
+const RankUtils = require('../utils/RankUtils');
+const TimeUtils = require('../utils/TimeUtils');
+
+const SCHEDULE_TYPES = {
+  weekly: ['weekly'],
+  monthly: ['monthly'],
+  both: ['weekly', 'monthly'],
+  off: []
+};
+
+class RecapScheduler {
+  constructor(database, riotApi, router) {
+    this.database = database;
+    this.riotApi = riotApi;
+    this.router = router;
+    this.isRunning = false;
+    this.isChecking = false;
+  }
+
+  /**
+   * Start the recap loop
+   * The first check runs after one interval, so matches missed while the bot was
+   * down have been caught up before a late recap is posted.
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    this.checkInterval = setInterval(() => {
+      this.checkRecaps();
+    }, config.recaps.checkInterval);
+
+    console.log(`Recap scheduler started (every ${config.recaps.checkInterval / 1000} seconds)`);
+  }
+
+  /**
+   * Stop the recap loop
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Get a guild's recap settings, falling back to the defaults
+   * @param {Object} guildConfig - Guild config row
+   * @returns {Object} - { schedule, weekday, hour, timezone }
+   */
+  static getSettings(guildConfig) {
+    const timezone = guildConfig?.timezone;
+    return {
+      schedule: guildConfig?.recap_schedule ?? config.recaps.schedule,
+      weekday: guildConfig?.recap_weekday ?? config.recaps.weekday,
+      hour: guildConfig?.recap_hour ?? config.recaps.hour,
+      timezone: timezone && TimeUtils.isValidTimezone(timezone) ? timezone : config.recaps.timezone
+    };
+  }
+
+  /**
+   * Get the recap types a schedule posts
+   * @param {string} schedule - weekly, monthly, both or off
+   * @returns {Array<string>} - Recap types
+   */
+  static getTypes(schedule) {
+    return SCHEDULE_TYPES[schedule] || [];
+  }
+
+  /**
+   * Get the most recent period whose recap is due
+   * Weekly periods end on the configured weekday, monthly periods on the 1st, both at
+   * the configured hour in the guild's timezone.
+   * @param {string} type - weekly or monthly
+   * @param {Object} settings - Result of getSettings
+   * @param {number} now - Current timestamp (ms)
+   * @returns {Object} - { start, end } timestamps (ms), end exclusive
+   */
+  static getLastPeriod(type, settings, now = Date.now()) {
+    const { weekday, hour, timezone } = settings;
+    const today = TimeUtils.getZonedParts(now, timezone);
+    const at = (month, day) => TimeUtils.zonedTimeToTimestamp(today.year, month, day, hour, timezone);
+
+    if (type === 'monthly') {
+      let month = today.month;
+      if (at(month, 1) > now) month--;
+      return { start: at(month - 1, 1), end: at(month, 1) };
+    }
+
+    let day = today.day - ((today.weekday - weekday + 7) % 7);
+    if (at(today.month, day) > now) day -= 7;
+    return { start: at(today.month, day - 7), end: at(today.month, day) };
+  }
+
+  /**
+   * Post every recap that is due
+   * A guild's first check only records the latest period, so adding the bot doesn't post
+   * an old recap. After downtime, only the latest missed period is posted, once.
+   * @param {number} now - Current timestamp (ms)
+   * @private
+   */
+  async checkRecaps(now = Date.now()) {
+    if (this.isChecking) return;
+    this.isChecking = true;
+
+    try {
+      for (const guildConfig of this.database.getAllGuildConfigs()) {
+        const settings = RecapScheduler.getSettings(guildConfig);
+
+        for (const type of RecapScheduler.getTypes(settings.schedule)) {
+          const period = RecapScheduler.getLastPeriod(type, settings, now);
+          const last = this.database.getRecap(guildConfig.guild_id, type);
+
+          if (!last) {
+            this.database.setRecap(guildConfig.guild_id, type, period.end);
+            continue;
+          }
+          if (last.period_end >= period.end) continue;
+
+          await this.postRecap(guildConfig.guild_id, type, period, settings);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking recaps:', error.message);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Post one recap and record it; periods without games are recorded without a post
+   * A failed post is retried on the next check.
+   * @param {string} guildId - Guild ID
+   * @param {string} type - weekly or monthly
+   * @param {Object} period - { start, end }
+   * @param {Object} settings - Result of getSettings
+   * @private
+   */
+  async postRecap(guildId, type, period, settings) {
+    const recap = this.buildRecap(guildId, period);
+    if (recap.games === 0) {
+      this.database.setRecap(guildId, type, period.end);
+      return;
+    }
+
+    try {
+      const channel = await this.router.getChannel(guildId, 'recap');
+      await channel.send({ embeds: [EmbedUtils.createRecapEmbed(type, recap, period, settings.timezone)] });
+      this.database.setRecap(guildId, type, period.end, Date.now());
+      console.log(`${type} recap posted in guild ${guildId}`);
+    } catch (error) {
+      console.error(`Error posting ${type} recap in guild ${guildId}:`, error.message);
+    }
+  }
+
+  /**
+   * Gather a guild's recap from stored matches and rank snapshots
+   * @param {string} guildId - Guild ID
+   * @param {Object} period - { start, end }
+   * @returns {Object} - { games, wins, players, bestKda, worstKda, mvp, topChampion, lpGainer, lpLoser }
+   */
+  buildRecap(guildId, { start, end }) {
+    const rows = this.database.getGuildLeaderboard(guildId, start, end)
+      .map(row => ({ ...row, kda: (row.kills + row.assists) / Math.max(1, row.deaths) }));
+    const qualified = rows.filter(row => row.games >= config.recaps.minGames);
+    const byKda = [...qualified].sort((a, b) => b.kda - a.kda || b.games - a.games);
+
+    // MVP: most wins, then best win rate, then best KDA
+    const mvp = [...qualified].sort((a, b) =>
+      b.wins - a.wins || b.wins / b.games - a.wins / a.games || b.kda - a.kda
+    )[0] || null;
+
+    const lpChanges = this.getLpChanges(guildId, start, end);
+
+    return {
+      games: rows.reduce((sum, row) => sum + row.games, 0),
+      wins: rows.reduce((sum, row) => sum + row.wins, 0),
+      players: rows.length,
+      bestKda: byKda[0] || null,
+      worstKda: byKda.length > 1 ? byKda[byKda.length - 1] : null,
+      mvp,
+      topChampion: this.getTopChampion(guildId, start, end),
+      lpGainer: lpChanges.find(change => change.diff > 0) || null,
+      lpLoser: [...lpChanges].reverse().find(change => change.diff < 0) || null
+    };
+  }
+
+  /**
+   * Get the guild's most played champion in a period, with its display name
+   * @private
+   */
+  getTopChampion(guildId, start, end) {
+    const [champion] = this.database.getGuildTopChampions(guildId, start, end, 1);
+    if (!champion) return null;
+    return { ...champion, champion_name: this.riotApi.staticData.getChampionName(champion.champion_name) };
+  }
+
+  /**
+   * Get each player's Solo/Duo LP change over a period, biggest gain first
+   * Players without a snapshot by the end of the period are left out.
+   * @private
+   */
+  getLpChanges(guildId, start, end) {
+    const changes = [];
+
+    for (const player of this.database.getPlayers(guildId)) {
+      const after = this.database.getRankSnapshotAt(player.puuid, end);
+      if (!after || after.created_at > end) continue;
+
+      const before = this.database.getRankSnapshotAt(player.puuid, start);
+      const afterScore = RankUtils.toScore(after);
+      const beforeScore = RankUtils.toScore(before);
+      if (afterScore === null || beforeScore === null) continue;
+
+      changes.push({ player, after, diff: afterScore - beforeScore });
+    }
+
+    return changes.sort((a, b) => b.diff - a.diff);
+  }
+}
+
+module.exports = RecapScheduler;
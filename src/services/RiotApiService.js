@@ -5,10 +5,16 @@
 const https = require('https');
 const config = require('../config');
 const RateLimiter = require('./RateLimiter');
+const StaticDataService = require('./StaticDataService');
+const MatchMapper = require('../utils/MatchMapper');
 
 class RiotApiService {
-  constructor() {
-    this.rateLimiter = new RateLimiter();
+  /**
+   * @param {Object} database - Optional DatabaseManager, used to keep rate limits across restarts
+   */
+  constructor(database = null) {
+    this.rateLimiter = new RateLimiter(database);
+    this.staticData = new StaticDataService();
   }
 
   /**
@@ -19,13 +25,15 @@ class RiotApiService {
    * @param {number} options.priority - Priority level (1-4, default: 1)
    * @param {string} options.cacheKey - Optional cache key for deduplication
    * @param {number} options.timeout - Request timeout in ms (default: 10000)
+   * @param {string} options.method - API method name, for Riot's per-method rate limits
    * @returns {Promise} - API response
    */
   async request(path, region = config.riot.platform, options = {}) {
     const {
       priority = 1,
       cacheKey = null,
-      timeout = 10000
+      timeout = 10000,
+      method = 'default'
     } = options;
 
     // Generate cache key if not provided
@@ -47,23 +55,35 @@ class RiotApiService {
           let data = '';
           res.on('data', chunk => data += chunk);
           res.on('end', () => {
+            // Rate limit headers are passed to the limiter on success and on errors
+            const headers = res.headers || {};
+            const fail = (message) => {
+              const error = new Error(message);
+              error.status = res.statusCode;
+              error.headers = headers;
+              reject(error);
+            };
+
             if (res.statusCode === 200) {
               try {
-                resolve(JSON.parse(data));
+                resolve({ data: JSON.parse(data), headers });
               } catch (parseError) {
                 reject(new Error(`Failed to parse API response: ${parseError.message}`));
               }
             } else if (res.statusCode === 429) {
-              // Rate limit exceeded - extract retry-after header
-              const retryAfter = res.headers['retry-after'] || res.headers['Retry-After'] || 1;
-              const retryAfterMs = parseInt(retryAfter) * 1000;
-              reject(new Error(`Rate limit exceeded. Retry after ${retryAfter} seconds`));
+              // Rate limit exceeded - Retry-After is missing when the service itself is overloaded
+              const retryAfter = parseInt(headers['retry-after'], 10);
+              const error = new Error(`Rate limit exceeded. Retry after ${retryAfter || 1} seconds`);
+              error.status = 429;
+              error.headers = headers;
+              error.retryAfter = retryAfter || null;
+              reject(error);
             } else if (res.statusCode === 403) {
-              reject(new Error(`API Key invalid or expired (403)`));
+              fail(`API Key invalid or expired (403)`);
             } else if (res.statusCode === 404) {
-              reject(new Error(`Resource not found (404)`));
+              fail(`Resource not found (404)`);
             } else {
-              reject(new Error(`API Error: ${res.statusCode} - ${data}`));
+              fail(`API Error: ${res.statusCode} - ${data}`);
             }
           });
         });
@@ -82,7 +102,9 @@ class RiotApiService {
     }, {
       priority,
       cacheKey: finalCacheKey,
-      timeout
+      timeout,
+      host: region,
+      method
     });
   }
 
@@ -102,7 +124,8 @@ class RiotApiService {
         { 
           priority,
           cacheKey,
-          timeout: 15000 // Longer timeout for account lookups
+          timeout: 15000, // Longer timeout for account lookups
+          method: 'account-v1.getByRiotId'
         }
       );
       return data.puuid;
@@ -116,54 +139,16 @@ class RiotApiService {
    * Get last match for a player
    * @param {string} puuid - Player's PUUID
    * @param {number} priority - Request priority (default: 1 for background checks)
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @param {Object} filter - Match list filter ({ queue } or { type }, see QueueUtils.getMatchListFilter)
    * @returns {Promise<Object|null>} - Match data or null if not found
    */
-  async getLastMatch(puuid, priority = 1) {
+  async getLastMatch(puuid, priority = 1, platform = config.riot.platform, filter = {}) {
     try {
-      // Get match list with short cache (5 minutes)
-      const matchListCacheKey = `matchlist:${puuid}:ranked:1`;
-      const matchList = await this.request(
-        `/lol/match/v5/matches/by-puuid/${puuid}/ids?type=ranked&start=0&count=1`,
-        config.riot.region,
-        { 
-          priority,
-          cacheKey: matchListCacheKey,
-          timeout: 10000
-        }
-      );
-      
-      if (matchList.length === 0) return null;
-
-      const matchId = matchList[0];
-      
-      // Get match data with longer cache (30 minutes for completed matches)
-      const matchDataCacheKey = `match:${matchId}`;
-      const matchData = await this.request(
-        `/lol/match/v5/matches/${matchId}`, 
-        config.riot.region,
-        { 
-          priority,
-          cacheKey: matchDataCacheKey,
-          timeout: 15000
-        }
-      );
-      
-      const participant = matchData.info.participants.find(p => p.puuid === puuid);
-
-      return {
-        matchId,
-        championName: participant.championName,
-        kills: participant.kills,
-        deaths: participant.deaths,
-        assists: participant.assists,
-        win: participant.win,
-        gameName: participant.riotIdGameName,
-        tagLine: participant.riotIdTagline,
-        gameEndTimestamp: matchData.info.gameEndTimestamp,
-        gameMode: matchData.info.gameMode,
-        gameDuration: matchData.info.gameDuration,
-        totalDamageDealtToChampions: participant.totalDamageDealtToChampions
-      };
+      const [matchId] = await this.getMatchIds(puuid, 1, priority, platform, filter);
+      if (!matchId) return null;
+
+      return await this.getMatch(matchId, puuid, priority, platform);
     } catch (error) {
       console.error(`Error fetching match for PUUID ${puuid}:`, error.message);
       return null;
@@ -171,63 +156,113 @@ class RiotApiService {
   }
 
   /**
-   * Get multiple matches for a player
+   * Get the IDs of a player's most recent matches
+   * @param {string} puuid - Player's PUUID
+   * @param {number} count - Number of match IDs to fetch
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @param {Object} filter - Match list filter ({ queue } or { type }), empty for every queue
+   * @returns {Promise<Array<string>>} - Match IDs, newest first
+   */
+  async getMatchIds(puuid, count = 1, priority = 1, platform = config.riot.platform, filter = {}) {
+    const params = new URLSearchParams({ ...filter, start: 0, count });
+    const matchListCacheKey = `matchlist:${puuid}:${params.toString()}`;
+    return this.request(
+      `/lol/match/v5/matches/by-puuid/${puuid}/ids?${params.toString()}`,
+      config.getRegionalRoute(platform),
+      {
+        priority,
+        cacheKey: matchListCacheKey,
+        timeout: 10000,
+        method: 'match-v5.getMatchIdsByPUUID'
+      }
+    );
+  }
+
+  /**
+   * Get a single match from a player's point of view
+   * @param {string} matchId - Match ID
+   * @param {string} puuid - Player's PUUID
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @returns {Promise<Object>} - Match data
+   */
+  async getMatch(matchId, puuid, priority = 1, platform = config.riot.platform) {
+    const matchDataCacheKey = `match:${matchId}`;
+    const matchData = await this.request(
+      `/lol/match/v5/matches/${matchId}`,
+      config.getRegionalRoute(platform),
+      {
+        priority,
+        cacheKey: matchDataCacheKey,
+        timeout: 15000,
+        method: 'match-v5.getMatch'
+      }
+    );
+    const match = MatchMapper.toPlayerMatch(matchId, matchData, puuid);
+    if (!match) {
+      throw new Error(`Player ${puuid} not found in match ${matchId}`);
+    }
+
+    return this.addAssetNames(match);
+  }
+
+  /**
+   * Load the matches of a match list that come after a given match
+   * Lets one match list serve several cursors (e.g. one per guild tracking the player).
+   * Stops at the first match that fails to load so it is retried on the next check.
+   * @param {string} puuid - Player's PUUID
+   * @param {Array<string>} matchIds - Match IDs, newest first (from getMatchIds)
+   * @param {string} lastMatchId - Last match already seen
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @returns {Promise<Array>} - Match data in chronological order (oldest first)
+   */
+  async getMatchesAfter(puuid, matchIds, lastMatchId, priority = 1, platform = config.riot.platform) {
+    const { maxNewMatches } = config.matchHistory;
+    const cursor = matchIds.indexOf(lastMatchId);
+
+    // If the last seen match fell out of the lookback window, only the most recent games are kept
+    const newMatchIds = (cursor === -1 ? matchIds : matchIds.slice(0, cursor))
+      .slice(0, maxNewMatches)
+      .reverse();
+
+    const matches = [];
+    for (const matchId of newMatchIds) {
+      try {
+        matches.push(await this.getMatch(matchId, puuid, priority, platform));
+      } catch (error) {
+        console.error(`Error fetching match ${matchId}:`, error.message);
+        break;
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Get all of a player's ranked entries (Solo/Duo, Flex)
    * @param {string} puuid - Player's PUUID
-   * @param {number} count - Number of matches to fetch
    * @param {number} priority - Request priority (default: 2 for manual commands)
-   * @returns {Promise<Array>} - Array of match data
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @returns {Promise<Array|null>} - League entries (empty if unranked) or null on error
    */
-  async getMatches(puuid, count = 5, priority = 2) {
+  async getPlayerRanks(puuid, priority = 2, platform = config.riot.platform) {
     try {
-      const matchListCacheKey = `matchlist:${puuid}:ranked:${count}`;
-      const matchList = await this.request(
-        `/lol/match/v5/matches/by-puuid/${puuid}/ids?type=ranked&start=0&count=${count}`,
-        config.riot.region,
-        { 
+      const rankCacheKey = `rank:${platform}:${puuid}`;
+      return await this.request(
+        `/lol/league/v4/entries/by-puuid/${puuid}`,
+        platform,
+        {
           priority,
-          cacheKey: matchListCacheKey,
-          timeout: 10000
+          cacheKey: rankCacheKey,
+          timeout: 10000,
+          method: 'league-v4.getLeagueEntriesByPUUID'
         }
       );
-
-      const matches = [];
-      for (const matchId of matchList) {
-        try {
-          const matchDataCacheKey = `match:${matchId}`;
-          const matchData = await this.request(
-            `/lol/match/v5/matches/${matchId}`, 
-            config.riot.region,
-            { 
-              priority,
-              cacheKey: matchDataCacheKey,
-              timeout: 15000
-            }
-          );
-          const participant = matchData.info.participants.find(p => p.puuid === puuid);
-
-          matches.push({
-            matchId,
-            championName: participant.championName,
-            kills: participant.kills,
-            deaths: participant.deaths,
-            assists: participant.assists,
-            win: participant.win,
-            gameName: participant.riotIdGameName,
-            tagLine: participant.riotIdTagline,
-            gameEndTimestamp: matchData.info.gameEndTimestamp,
-            gameMode: matchData.info.gameMode,
-            gameDuration: matchData.info.gameDuration,
-            totalDamageDealtToChampions: participant.totalDamageDealtToChampions
-          });
-        } catch (error) {
-          console.error(`Error fetching match ${matchId}:`, error.message);
-        }
-      }
-
-      return matches;
     } catch (error) {
-      console.error(`Error fetching matches for PUUID ${puuid}:`, error.message);
-      return [];
+      console.error(`Error fetching rank for PUUID ${puuid}:`, error.message);
+      return null;
     }
   }
 
@@ -235,45 +270,91 @@ class RiotApiService {
    * Get player's current rank
    * @param {string} puuid - Player's PUUID
    * @param {number} priority - Request priority (default: 2 for manual commands)
+   * @param {string} platform - Player's platform (default: configured platform)
    * @returns {Promise<Object|null>} - Rank data or null if not found
    */
-  async getPlayerRank(puuid, priority = 2) {
-    try {
-      // First get summoner ID with caching
-      const summonerCacheKey = `summoner:${puuid}`;
-      const summonerData = await this.request(
-        `/lol/summoner/v4/summoners/by-puuid/${puuid}`, 
-        config.riot.platform,
-        { 
-          priority,
-          cacheKey: summonerCacheKey,
-          timeout: 10000
-        }
-      );
-      const summonerId = summonerData.id;
+  async getPlayerRank(puuid, priority = 2, platform = config.riot.platform) {
+    const rankData = await this.getPlayerRanks(puuid, priority, platform);
+    if (!rankData || rankData.length === 0) return null;
 
-      // Then get rank data with caching
-      const rankCacheKey = `rank:${summonerId}`;
-      const rankData = await this.request(
-        `/lol/league/v4/entries/by-summoner/${summonerId}`, 
-        config.riot.platform,
-        { 
+    const soloQueue = rankData.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
+    return soloQueue || rankData[0];
+  }
+
+  /**
+   * Get the game a player is currently in
+   * @param {string} puuid - Player's PUUID
+   * @param {number} priority - Request priority (default: 1 for background checks)
+   * @param {string} platform - Player's platform (default: configured platform)
+   * @returns {Promise<Object|null>} - Spectator game data or null if not in game
+   */
+  async getActiveGame(puuid, priority = 1, platform = config.riot.platform) {
+    try {
+      return await this.request(
+        `/lol/spectator/v5/active-games/by-summoner/${puuid}`,
+        platform,
+        {
           priority,
-          cacheKey: rankCacheKey,
-          timeout: 10000
+          cacheKey: `live:${platform}:${puuid}`,
+          timeout: 10000,
+          method: 'spectator-v5.getCurrentGameInfoByPuuid'
         }
       );
-      
-      if (rankData.length === 0) return null;
-
-      const soloQueue = rankData.find(entry => entry.queueType === 'RANKED_SOLO_5x5');
-      return soloQueue || rankData[0];
     } catch (error) {
-      console.error(`Error fetching rank for PUUID ${puuid}:`, error.message);
+      // 404 simply means the player is not in a game
+      if (!error.message.includes('404')) {
+        console.error(`Error fetching active game for PUUID ${puuid}:`, error.message);
+      }
       return null;
     }
   }
 
+  /**
+   * Get a champion's display name from its numeric ID
+   * @param {number} championId - Champion ID
+   * @returns {Promise<string>} - Champion name, or a placeholder if unknown
+   */
+  async getChampionName(championId) {
+    await this.staticData.load();
+    return this.staticData.getChampionName(Number(championId));
+  }
+
+  /**
+   * Add display names and icons for the champion, items, runes and summoner spells to a mapped match
+   * Unknown IDs are left out, so the embed simply shows fewer details.
+   * @param {Object} match - Match from MatchMapper
+   * @returns {Promise<Object>} - The same match with names added
+   */
+  async addAssetNames(match) {
+    await this.staticData.load();
+
+    const champion = this.staticData.getChampion(match.championId || match.championName);
+    match.championDisplayName = champion ? champion.name : match.championName;
+    match.championIconUrl = champion ? champion.iconUrl : null;
+    match.itemNames = match.items.map(itemId => this.staticData.getItem(itemId)).filter(Boolean).map(item => item.name);
+
+    const keystone = this.staticData.getRune(match.keystoneId);
+    const secondaryStyle = this.staticData.getRune(match.secondaryStyleId);
+    match.keystoneName = keystone ? keystone.name : null;
+    match.secondaryStyleName = secondaryStyle ? secondaryStyle.name : null;
+
+    match.summonerSpellNames = match.summonerSpellIds
+      .map(spellId => this.staticData.getSummonerSpell(spellId))
+      .filter(Boolean)
+      .map(spell => spell.name);
+
+    match.augmentNames = (match.augments || []).map(augmentId => {
+      const augment = this.staticData.getAugment(augmentId);
+      return augment ? augment.name : `Augment ${augmentId}`;
+    });
+
+    const teamPlayers = (match.teams || []).flatMap(team => team.players);
+    [match.partner, match.laneOpponent, ...teamPlayers].filter(Boolean).forEach(player => {
+      player.championDisplayName = this.staticData.getChampionName(player.championId || player.championName);
+    });
+    return match;
+  }
+
   /**
    * Get rate limiter status
    * @returns {Object} - Rate limiter status
@@ -0,0 +1,306 @@
+/**
+ * Static Data Service
+ * Resolves the latest Data Dragon patch and maps champion, item, rune and
+ * summoner spell IDs to display names and icon URLs. Arena augments come from
+ * CommunityDragon, since Data Dragon does not publish them.
+ * Downloads are cached on disk; a bundled snapshot is used when offline.
+ */
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const config = require('../config');
+
+const DDRAGON_URL = 'https://ddragon.leagueoflegends.com';
+const CDRAGON_URL = 'https://raw.communitydragon.org/latest/plugins/rcp-be-lol-game-data/global/default';
+const BUNDLED_SNAPSHOT = path.join(__dirname, '../data/static-data.json');
+
+/**
+ * Fetch JSON from a public URL, bypassing the Riot API rate limiter
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Request timeout in ms (default: 10000)
+ * @returns {Promise<Object>} - Parsed JSON
+ */
+function fetchJson(url, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { timeout }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (parseError) {
+          reject(new Error(`Failed to parse response from ${url}: ${parseError.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => reject(new Error(`Network error: ${error.message}`)));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error(`Request timeout after ${timeout}ms`));
+    });
+  });
+}
+
+class StaticDataService {
+  /**
+   * @param {Object} options - Overrides, mainly for tests
+   * @param {string} options.cacheDir - Directory for the downloaded data (default: config)
+   * @param {string} options.snapshotPath - Bundled fallback snapshot
+   * @param {Function} options.fetchJson - JSON fetcher (url) => Promise
+   */
+  constructor(options = {}) {
+    this.cachePath = path.join(options.cacheDir || config.staticData.cacheDir, 'static-data.json');
+    this.snapshotPath = options.snapshotPath || BUNDLED_SNAPSHOT;
+    this.fetchJson = options.fetchJson || fetchJson;
+
+    this.data = null;
+    this.nextRefreshAt = 0;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Make sure data is loaded and refreshed when due
+   * Never throws: on failure the disk cache or bundled snapshot is used.
+   * @returns {Promise<StaticDataService>} - This service
+   */
+  async load() {
+    if (this.data && Date.now() < this.nextRefreshAt) return this;
+
+    if (!this.loadPromise) {
+      this.loadPromise = this.refresh().finally(() => {
+        this.loadPromise = null;
+      });
+    }
+
+    await this.loadPromise;
+    return this;
+  }
+
+  /**
+   * Check the latest patch and download data if the cached copy is older
+   * @private
+   */
+  async refresh() {
+    const cached = this.data || this.readJson(this.cachePath);
+
+    try {
+      const [version] = await this.fetchJson(`${DDRAGON_URL}/api/versions.json`);
+
+      if (cached && cached.version === version) {
+        this.setData(cached);
+      } else {
+        const data = await this.download(version);
+        this.writeCache(data);
+        this.setData(data);
+        console.log(`Static data updated to patch ${version}`);
+      }
+      this.nextRefreshAt = Date.now() + config.staticData.refreshInterval;
+    } catch (error) {
+      console.error('Error refreshing static data, using local copy:', error.message);
+      this.setData(cached || this.readJson(this.snapshotPath));
+      this.nextRefreshAt = Date.now() + config.staticData.retryInterval;
+    }
+  }
+
+  /**
+   * Download and normalize one patch's data
+   * @param {string} version - Patch version, e.g. "15.2.1"
+   * @returns {Promise<Object>} - Normalized data
+   * @private
+   */
+  async download(version) {
+    const baseUrl = `${DDRAGON_URL}/cdn/${version}/data/${config.staticData.language}`;
+    const [championData, itemData, runeData, spellData] = await Promise.all([
+      this.fetchJson(`${baseUrl}/champion.json`),
+      this.fetchJson(`${baseUrl}/item.json`),
+      this.fetchJson(`${baseUrl}/runesReforged.json`),
+      this.fetchJson(`${baseUrl}/summoner.json`)
+    ]);
+
+    // Augments are a nice-to-have; a CommunityDragon outage must not block the patch update
+    const augmentData = await this.fetchJson(`${CDRAGON_URL}/v1/cherry-augments.json`).catch(error => {
+      console.error('Error fetching Arena augments:', error.message);
+      return [];
+    });
+
+    const runes = [];
+    runeData.forEach(tree => {
+      runes.push({ id: tree.id, name: tree.name, icon: tree.icon });
+      tree.slots.forEach(slot => slot.runes.forEach(rune => {
+        runes.push({ id: rune.id, name: rune.name, icon: rune.icon });
+      }));
+    });
+
+    return {
+      version,
+      champions: Object.values(championData.data).map(champion => ({
+        id: Number(champion.key),
+        key: champion.id,
+        name: champion.name
+      })),
+      items: Object.entries(itemData.data).map(([itemId, item]) => ({
+        id: Number(itemId),
+        name: item.name
+      })),
+      runes,
+      summonerSpells: Object.values(spellData.data).map(spell => ({
+        id: Number(spell.key),
+        key: spell.id,
+        name: spell.name
+      })),
+      augments: augmentData.map(augment => ({
+        id: augment.id,
+        name: augment.nameTRA
+      }))
+    };
+  }
+
+  /**
+   * Index normalized data for lookups
+   * @param {Object} data - Normalized data
+   * @private
+   */
+  setData(data) {
+    if (!data) return;
+
+    this.data = data;
+    this.champions = new Map();
+    data.champions.forEach(champion => {
+      this.champions.set(champion.id, champion);
+      this.champions.set(champion.key.toLowerCase(), champion);
+    });
+    this.items = new Map(data.items.map(item => [item.id, item]));
+    this.runes = new Map(data.runes.map(rune => [rune.id, rune]));
+    this.summonerSpells = new Map(data.summonerSpells.map(spell => [spell.id, spell]));
+    // Caches written before augments were added have none until the next patch
+    this.augments = new Map((data.augments || []).map(augment => [augment.id, augment]));
+  }
+
+  /**
+   * Use whatever is on disk until the first download finishes
+   * @private
+   */
+  ensureData() {
+    if (!this.data) {
+      this.setData(this.readJson(this.cachePath) || this.readJson(this.snapshotPath));
+    }
+  }
+
+  /**
+   * Read a JSON file, returning null if missing or invalid
+   * @private
+   */
+  readJson(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write downloaded data to the disk cache
+   * @private
+   */
+  writeCache(data) {
+    try {
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      fs.writeFileSync(this.cachePath, JSON.stringify(data));
+    } catch (error) {
+      console.error('Error writing static data cache:', error.message);
+    }
+  }
+
+  /**
+   * Get the patch the data belongs to
+   * @returns {string} - Patch version
+   */
+  getVersion() {
+    this.ensureData();
+    return this.data.version;
+  }
+
+  /**
+   * Get a champion by numeric ID or by key (the championName in match payloads)
+   * @param {number|string} idOrKey - Champion ID or key, e.g. 62 or "MonkeyKing"
+   * @returns {Object|null} - { id, key, name, iconUrl } or null if unknown
+   */
+  getChampion(idOrKey) {
+    this.ensureData();
+    const lookup = typeof idOrKey === 'string' && isNaN(idOrKey) ? idOrKey.toLowerCase() : Number(idOrKey);
+    const champion = this.champions.get(lookup);
+    if (!champion) return null;
+
+    return {
+      ...champion,
+      iconUrl: `${DDRAGON_URL}/cdn/${this.data.version}/img/champion/${champion.key}.png`
+    };
+  }
+
+  /**
+   * Get a champion's display name, falling back to the raw value when unknown
+   * @param {number|string} idOrKey - Champion ID or key
+   * @returns {string} - Display name
+   */
+  getChampionName(idOrKey) {
+    const champion = this.getChampion(idOrKey);
+    if (champion) return champion.name;
+    return typeof idOrKey === 'number' ? `Champion ${idOrKey}` : String(idOrKey);
+  }
+
+  /**
+   * Get an item by ID
+   * @param {number} itemId - Item ID
+   * @returns {Object|null} - { id, name, iconUrl } or null if unknown
+   */
+  getItem(itemId) {
+    this.ensureData();
+    const item = this.items.get(Number(itemId));
+    if (!item) return null;
+
+    return { ...item, iconUrl: `${DDRAGON_URL}/cdn/${this.data.version}/img/item/${item.id}.png` };
+  }
+
+  /**
+   * Get a rune or rune tree by ID
+   * @param {number} runeId - Rune ID
+   * @returns {Object|null} - { id, name, iconUrl } or null if unknown
+   */
+  getRune(runeId) {
+    this.ensureData();
+    const rune = this.runes.get(Number(runeId));
+    if (!rune) return null;
+
+    return { id: rune.id, name: rune.name, iconUrl: `${DDRAGON_URL}/cdn/img/${rune.icon}` };
+  }
+
+  /**
+   * Get a summoner spell by ID
+   * @param {number} spellId - Summoner spell ID
+   * @returns {Object|null} - { id, key, name, iconUrl } or null if unknown
+   */
+  getSummonerSpell(spellId) {
+    this.ensureData();
+    const spell = this.summonerSpells.get(Number(spellId));
+    if (!spell) return null;
+
+    return { ...spell, iconUrl: `${DDRAGON_URL}/cdn/${this.data.version}/img/spell/${spell.key}.png` };
+  }
+
+  /**
+   * Get an Arena augment by ID
+   * @param {number} augmentId - Augment ID
+   * @returns {Object|null} - { id, name } or null if unknown
+   */
+  getAugment(augmentId) {
+    this.ensureData();
+    return this.augments.get(Number(augmentId)) || null;
+  }
+}
+
+module.exports = StaticDataService;
@@ -3,28 +3,436 @@
  * Creates Discord embeds for match data and bot information
  */
 const { EmbedBuilder } = require('discord.js');
+const RankUtils = require('./RankUtils');
+const QueueUtils = require('./QueueUtils');
+const MatchLayouts = require('./MatchLayouts');
+const StreakUtils = require('./StreakUtils');
+const config = require('../config');
 
 class EmbedUtils {
   /**
    * Create a match embed
+   * The result and stat fields come from the queue's layout (Arena, ARAM or Summoner's Rift).
    * @param {Object} match - Match data object
+   * @param {Array} highlights - Highlights from HighlightRules.detect (default: none)
    * @returns {EmbedBuilder} - Discord embed
    */
-  static createMatchEmbed(match) {
-    return new EmbedBuilder()
-      .setTitle(`${match.gameName} (${match.championName})`)
-      .setDescription(`${match.gameMode} (${Math.floor(match.gameDuration / 60)}:${(match.gameDuration % 60).toString().padStart(2, '0')})`)
-      .setImage(`https://ddragon.leagueoflegends.com/cdn/12.18.1/img/champion/${match.championName}.png`)
+  static createMatchEmbed(match, highlights = []) {
+    const layout = MatchLayouts.forQueue(match.queueId);
+    const badges = highlights.map(highlight => highlight.badge).join('');
+    const embed = new EmbedBuilder()
+      .setTitle(`${badges ? `${badges} ` : ''}${match.gameName} (${match.championDisplayName || match.championName})`)
+      .setDescription(`${QueueUtils.getQueueName(match.queueId, match.gameMode)} (${EmbedUtils.formatDuration(match.gameDuration)})`)
+      .setImage(match.championIconUrl || null)
       .addFields(
         { name: 'Match ID', value: match.matchId, inline: false },
         { name: 'KDA', value: `${match.kills}/${match.deaths}/${match.assists}`, inline: true },
         { name: 'DMG', value: `${match.totalDamageDealtToChampions}`, inline: true },
-        { name: 'Result', value: match.win ? 'Victory' : 'Defeat', inline: true }
+        { name: 'Result', value: layout.getResult(match), inline: true }
       )
-      .setColor(match.win ? 0x00FF00 : 0xFF0000)
+      .setColor(layout.getColor(match))
+      .setTimestamp(match.gameEndTimestamp);
+
+    if (highlights.length > 0) {
+      embed.addFields({ name: 'Highlights', value: EmbedUtils.formatHighlights(highlights), inline: false });
+    }
+
+    const layoutFields = layout.getFields(match);
+    if (layoutFields.length > 0) {
+      embed.addFields(...layoutFields);
+    }
+
+    if (match.rankAfter) {
+      embed.addFields({ name: 'Rank', value: EmbedUtils.formatRankChange(match), inline: true });
+    }
+
+    if (match.streak && match.streak.count >= config.streaks.footerMin) {
+      embed.setFooter({ text: StreakUtils.format(match.streak) });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Create a streak milestone announcement
+   * @param {Object} match - Match that extended the streak
+   * @param {Object} streak - { win, count }
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createStreakEmbed(match, streak) {
+    const description = streak.win
+      ? `Won ${streak.count} in a row. Someone stop them.`
+      : `Lost ${streak.count} in a row, someone take their keyboard.`;
+
+    return new EmbedBuilder()
+      .setTitle(`${StreakUtils.format(streak)} for ${match.gameName}#${match.tagLine}`)
+      .setDescription(description)
+      .setThumbnail(match.championIconUrl || null)
+      .setColor(streak.win ? 0xFF8C00 : 0x5DADE2)
+      .setTimestamp(match.gameEndTimestamp);
+  }
+
+  /**
+   * Create a live game announcement
+   * @param {Array} players - Tracked participants ({ gameName, tagLine, championName })
+   * @param {Object} game - Spectator game data
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createLiveGameEmbed(players, game) {
+    const queue = QueueUtils.getQueueName(game.gameQueueConfigId, game.gameMode);
+    const lines = players.map(player =>
+      `**${player.gameName}#${player.tagLine}** just started a game as **${player.championName}**`
+    );
+
+    return new EmbedBuilder()
+      .setTitle(`🔴 Live - ${queue}`)
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: 'This message will be updated with the result' })
+      .setColor(0x9146FF)
+      .setTimestamp(game.gameStartTime || Date.now());
+  }
+
+  /**
+   * Create a standalone highlight announcement (e.g. pentakills)
+   * @param {Object} match - Match data object
+   * @param {Object} highlight - Highlight from HighlightRules.detect
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createHighlightEmbed(match, highlight) {
+    const champion = match.championDisplayName || match.championName;
+    return new EmbedBuilder()
+      .setTitle(`${highlight.badge} ${match.gameName} - ${highlight.text}`)
+      .setDescription(`**${champion}** • ${match.kills}/${match.deaths}/${match.assists} • ${QueueUtils.getQueueName(match.queueId, match.gameMode)}`)
+      .setThumbnail(match.championIconUrl || null)
+      .setFooter({ text: `Match ID: ${match.matchId}` })
+      .setColor(0xFFD700)
       .setTimestamp(match.gameEndTimestamp);
   }
 
+  /**
+   * Format highlights as one line each, e.g. "🩸 Drew first blood."
+   * @param {Array} highlights - Highlights from HighlightRules.detect
+   * @returns {string} - Formatted highlights
+   */
+  static formatHighlights(highlights) {
+    return highlights.map(highlight => `${highlight.badge} ${highlight.text}`).join('\n');
+  }
+
+  /**
+   * Format a match's rank after the game with its LP change, e.g. "Gold II 45 LP (+18 LP)"
+   * @param {Object} match - Match data with rankAfter and optional lpChange
+   * @returns {string} - Formatted rank change
+   */
+  static formatRankChange(match) {
+    const rank = RankUtils.format(match.rankAfter);
+    return match.lpChange !== undefined ? `${rank} (${RankUtils.formatDiff(match.lpChange)})` : rank;
+  }
+
+  /**
+   * Create a promotion, demotion or promo series announcement
+   * @param {Object} event - Rank event ({ player, queueType, type, before, after })
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createRankEventEmbed(event) {
+    const name = `${event.player.game_name}#${event.player.tag_line}`;
+    const queue = RankUtils.getQueueLabel(event.queueType);
+    const tier = RankUtils.formatTier(event.after);
+
+    const layouts = {
+      promotion: {
+        title: `🎉 ${name} promoted to ${tier}!`,
+        description: `Climbed out of ${RankUtils.formatTier(event.before)} in ${queue}. Drinks are on them.`,
+        color: 0x00FF00
+      },
+      demotion: {
+        title: `📉 ${name} demoted to ${tier}`,
+        description: `Dropped from ${RankUtils.formatTier(event.before)} in ${queue}. Someone check on them.`,
+        color: 0xFF0000
+      },
+      series_start: {
+        title: `⚔️ ${name} is in promos!`,
+        description: `One series away from leaving ${tier} in ${queue}. No pressure.`,
+        color: 0xFFAA00
+      },
+      series_end: {
+        title: `💀 ${name} lost promos`,
+        description: `Still stuck in ${tier} in ${queue}. So close, yet so far.`,
+        color: 0x808080
+      }
+    };
+    const layout = layouts[event.type];
+
+    return new EmbedBuilder()
+      .setTitle(layout.title)
+      .setDescription(layout.description)
+      .addFields({ name: 'Rank', value: RankUtils.format(event.after), inline: true })
+      .setColor(layout.color)
+      .setTimestamp();
+  }
+
+  /**
+   * Create a single embed for several tracked players in the same match
+   * @param {Array} matches - Match data objects sharing one matchId, one per tracked participant
+   * @param {Array<Array>} highlights - Highlights per match, in the same order (default: none)
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createTeamMatchEmbed(matches, highlights = []) {
+    const [first] = matches;
+    const wins = matches.filter(match => match.win).length;
+
+    // Tracked players can end up on opposite teams
+    let color = 0xFFAA00;
+    if (wins === matches.length) color = 0x00FF00;
+    if (wins === 0) color = 0xFF0000;
+
+    return new EmbedBuilder()
+      .setTitle(`👥 ${matches.length} tracked players in the same game`)
+      .setDescription(`${QueueUtils.getQueueName(first.queueId, first.gameMode)} (${EmbedUtils.formatDuration(first.gameDuration)})`)
+      .setThumbnail(first.championIconUrl || null)
+      .addFields(
+        { name: 'Match ID', value: first.matchId, inline: false },
+        ...matches.map((match, index) => ({
+          name: `${match.gameName}#${match.tagLine}`,
+          value: [
+            `**${match.championDisplayName || match.championName}** - ${MatchLayouts.forQueue(match.queueId).getResult(match)}`,
+            `KDA: ${match.kills}/${match.deaths}/${match.assists}`,
+            `DMG: ${match.totalDamageDealtToChampions}`,
+            ...(match.cs !== undefined ? [`CS: ${match.cs} • Gold: ${match.goldEarned}`] : []),
+            ...(match.rankAfter ? [EmbedUtils.formatRankChange(match)] : []),
+            ...(match.streak && match.streak.count >= config.streaks.footerMin ? [StreakUtils.format(match.streak)] : []),
+            ...(highlights[index] && highlights[index].length > 0 ? [EmbedUtils.formatHighlights(highlights[index])] : [])
+          ].join('\n'),
+          inline: true
+        }))
+      )
+      .setColor(color)
+      .setTimestamp(first.gameEndTimestamp);
+  }
+
+  /**
+   * Create a match history embed from stored matches
+   * @param {Object} player - Tracked player row
+   * @param {Array} matches - Stored match rows for the page
+   * @param {number} page - Current page (1-based)
+   * @param {number} totalPages - Total number of pages
+   * @param {number} totalMatches - Total number of stored matches
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createHistoryEmbed(player, matches, page, totalPages, totalMatches) {
+    const embed = new EmbedBuilder()
+      .setTitle(`📜 Match History - ${player.game_name}#${player.tag_line}`)
+      .setColor(0x0099FF)
+      .setFooter({ text: `Page ${page}/${totalPages} • ${totalMatches} matches stored` })
+      .setTimestamp();
+
+    if (matches.length === 0) {
+      embed.setDescription('No matches stored yet. New matches are recorded as they are posted.');
+      return embed;
+    }
+
+    const lines = matches.map(match => {
+      const result = match.win ? '✅' : '❌';
+      const kda = `${match.kills}/${match.deaths}/${match.assists}`;
+      const duration = EmbedUtils.formatDuration(match.game_duration);
+      const playedAt = match.game_end_timestamp ? ` • <t:${Math.floor(match.game_end_timestamp / 1000)}:R>` : '';
+      return `${result} **${match.champion_name}** ${kda} • ${QueueUtils.getQueueName(match.queue_id, match.game_mode)} (${duration})${playedAt}`;
+    });
+
+    embed.setDescription(lines.join('\n'));
+    return embed;
+  }
+
+  /**
+   * Create a player statistics embed
+   * @param {string} name - Riot ID, or member name when several accounts are combined
+   * @param {Object} stats - Aggregates from DatabaseManager.getPlayerStats
+   * @param {Array} topChampions - Rows from DatabaseManager.getTopChampions
+   * @param {Object} streak - Current streak ({ win, count })
+   * @param {string} periodLabel - Human-readable period
+   * @param {Object} longestStreaks - Longest streaks in the period ({ win, loss }), optional
+   * @param {Array} accounts - Combined tracked player rows, listed when there is more than one
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createStatsEmbed(name, stats, topChampions, streak, periodLabel, longestStreaks = null, accounts = []) {
+    const embed = new EmbedBuilder()
+      .setTitle(`📊 Stats - ${name}`)
+      .setColor(0x0099FF)
+      .setFooter({ text: periodLabel })
+      .setTimestamp();
+
+    if (accounts.length > 1) {
+      embed.addFields({
+        name: 'Accounts',
+        value: accounts.map(account => `${account.game_name}#${account.tag_line}`).join(', '),
+        inline: false
+      });
+    }
+
+    if (stats.games === 0) {
+      embed.setDescription('No stored matches for this period.');
+      return embed;
+    }
+
+    const losses = stats.games - stats.wins;
+    const winRate = (stats.wins / stats.games) * 100;
+    const kda = EmbedUtils.formatKda(stats.kills, stats.deaths, stats.assists);
+
+    const champions = topChampions.map(champion =>
+      `• **${champion.champion_name}** - ${champion.games} games, ` +
+      `${((champion.wins / champion.games) * 100).toFixed(0)}% WR, ` +
+      `${EmbedUtils.formatKda(champion.kills, champion.deaths, champion.assists)} KDA`
+    ).join('\n');
+
+    let streakText = 'No streak';
+    if (streak.count > 0) {
+      const plural = streak.count > 1;
+      streakText = streak.win
+        ? `${streak.count} ${plural ? 'wins' : 'win'} 🔥`
+        : `${streak.count} ${plural ? 'losses' : 'loss'} 🧊`;
+    }
+
+    embed.addFields(
+      { name: 'Games', value: `${stats.games} (${stats.wins}W ${losses}L)`, inline: true },
+      { name: 'Win Rate', value: `${winRate.toFixed(1)}%`, inline: true },
+      { name: 'Current Streak', value: streakText, inline: true },
+      {
+        name: 'Average KDA',
+        value: `${kda} (${(stats.kills / stats.games).toFixed(1)}/${(stats.deaths / stats.games).toFixed(1)}/${(stats.assists / stats.games).toFixed(1)})`,
+        inline: true
+      },
+      { name: 'Damage/min', value: `${Math.round(stats.damage_per_minute)}`, inline: true },
+      { name: 'Most Played', value: champions || 'None', inline: false }
+    );
+
+    if (longestStreaks) {
+      embed.addFields({
+        name: 'Longest Streaks',
+        value: `🔥 ${longestStreaks.win} ${longestStreaks.win === 1 ? 'win' : 'wins'} • 🧊 ${longestStreaks.loss} ${longestStreaks.loss === 1 ? 'loss' : 'losses'}`,
+        inline: true
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Create a leaderboard embed
+   * @param {string} metricLabel - Metric being ranked
+   * @param {Array} entries - Ranked entries ({ name, value }), best first
+   * @param {string} periodLabel - Human-readable period
+   * @param {string} note - Footer note (thresholds, data source)
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createLeaderboardEmbed(metricLabel, entries, periodLabel, note) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🏆 Leaderboard - ${metricLabel}`)
+      .setColor(0xFFD700)
+      .setFooter({ text: `${periodLabel} • ${note}` })
+      .setTimestamp();
+
+    if (entries.length === 0) {
+      embed.setDescription('Not enough data yet for this leaderboard.');
+      return embed;
+    }
+
+    const medals = ['🥇', '🥈', '🥉'];
+    embed.setDescription(entries.map((entry, index) =>
+      `${medals[index] || `**${index + 1}.**`} **${entry.name}** - ${entry.value}`
+    ).join('\n'));
+
+    return embed;
+  }
+
+  /**
+   * Create a weekly or monthly recap embed
+   * @param {string} type - weekly or monthly
+   * @param {Object} recap - Result of RecapScheduler.buildRecap
+   * @param {Object} period - { start, end } timestamps (ms)
+   * @param {string} timezone - Guild timezone, used to label the period
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createRecapEmbed(type, recap, period, timezone) {
+    const formatDate = (timestamp, options) => new Date(timestamp).toLocaleDateString('en-US', { timeZone: timezone, ...options });
+    const name = row => `${row.game_name}#${row.tag_line}`;
+    const kda = row => EmbedUtils.formatKda(row.kills, row.deaths, row.assists);
+
+    const title = type === 'monthly'
+      ? `📅 Monthly Recap - ${formatDate(period.start, { month: 'long', year: 'numeric' })}`
+      : `📅 Weekly Recap - ${formatDate(period.start, { month: 'short', day: 'numeric' })} to ${formatDate(period.end, { month: 'short', day: 'numeric' })}`;
+
+    const losses = recap.games - recap.wins;
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setColor(0x9B59B6)
+      .setDescription(`**${recap.games}** games played by **${recap.players}** ${recap.players === 1 ? 'player' : 'players'} (${recap.wins}W ${losses}L)`)
+      .setFooter({ text: `Best/worst KDA and MVP need ${config.recaps.minGames}+ games • ${timezone}` })
+      .setTimestamp(period.end);
+
+    if (recap.mvp) {
+      embed.addFields({
+        name: '👑 MVP',
+        value: `**${name(recap.mvp)}** - ${recap.mvp.wins}W ${recap.mvp.games - recap.mvp.wins}L, ${kda(recap.mvp)} KDA`,
+        inline: false
+      });
+    }
+
+    if (recap.bestKda) {
+      embed.addFields({ name: '⚔️ Best KDA', value: `**${name(recap.bestKda)}** - ${kda(recap.bestKda)} (${recap.bestKda.games} games)`, inline: true });
+    }
+
+    if (recap.worstKda) {
+      embed.addFields({ name: '💀 Worst KDA', value: `**${name(recap.worstKda)}** - ${kda(recap.worstKda)} (${recap.worstKda.games} games)`, inline: true });
+    }
+
+    if (recap.topChampion) {
+      const champion = recap.topChampion;
+      embed.addFields({
+        name: '🎯 Most Played',
+        value: `**${champion.champion_name}** - ${champion.games} games, ${((champion.wins / champion.games) * 100).toFixed(0)}% WR`,
+        inline: false
+      });
+    }
+
+    if (recap.lpGainer) {
+      embed.addFields({
+        name: '📈 Biggest LP Gain',
+        value: `**${name(recap.lpGainer.player)}** - ${RankUtils.formatDiff(recap.lpGainer.diff)} (now ${RankUtils.format(recap.lpGainer.after)})`,
+        inline: true
+      });
+    }
+
+    if (recap.lpLoser) {
+      embed.addFields({
+        name: '📉 Biggest LP Loss',
+        value: `**${name(recap.lpLoser.player)}** - ${RankUtils.formatDiff(recap.lpLoser.diff)} (now ${RankUtils.format(recap.lpLoser.after)})`,
+        inline: true
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Format a KDA ratio, treating deathless games as perfect
+   * @param {number} kills - Kills
+   * @param {number} deaths - Deaths
+   * @param {number} assists - Assists
+   * @returns {string} - Formatted ratio
+   */
+  static formatKda(kills, deaths, assists) {
+    if (deaths === 0) return kills + assists > 0 ? 'Perfect' : '0.00';
+    return ((kills + assists) / deaths).toFixed(2);
+  }
+
+  /**
+   * Format a duration in seconds as m:ss
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - Formatted duration
+   */
+  static formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+  }
+
   /**
    * Create a player list embed
    * @param {Array} players - Array of player objects
@@ -43,7 +451,7 @@ class EmbedUtils {
     }
 
     const playerList = players.map((player, index) => 
-      `${index + 1}. **${player.game_name}#${player.tag_line}**`
+      `${index + 1}. **${player.game_name}#${player.tag_line}** (${(player.platform || '').toUpperCase()})`
     ).join('\n');
 
     embed.setDescription(playerList);
@@ -66,9 +474,8 @@ class EmbedUtils {
         {
           name: '📊 Queue Status',
           value: [
-            `• Requests in queue: **${status.queueLength}**`,
-            `• Requests in last second: **${status.requestsLastSecond}/20**`,
-            `• Requests in last 2 minutes: **${status.requestsLastTwoMinutes}/100**`,
+            `• Requests in queue: **${status.totalQueued}**`,
+            `• Rate limit usage: **${(status.utilization * 100).toFixed(0)}%**`,
             `• Processing: **${status.isProcessing ? 'Yes' : 'No'}**`
           ].join('\n'),
           inline: false
@@ -78,25 +485,67 @@ class EmbedUtils {
           value: [
             `• Total guilds: **${stats.guildCount}**`,
             `• Total players: **${stats.totalPlayers}**`,
-            `• Check interval: **${stats.checkInterval}s** (dynamic)`,
-            `• Base interval: **${stats.baseInterval}s**`,
-            `• Max interval: **${stats.maxInterval}s**`
+            `• Match checks run every **${stats.baseInterval}s**, players are checked when due`
           ].join('\n'),
           inline: false
         },
         {
-          name: '⚡ Rate Limits',
-          value: [
-            `• Max 20 requests/second`,
-            `• Max 100 requests/2 minutes`,
-            `• Optimized for **${stats.totalPlayers}+** accounts`
-          ].join('\n'),
+          name: '📡 Polling Schedule',
+          value: this.formatPollingBudget(stats.polling, stats.capacityPerMinute),
+          inline: false
+        },
+        {
+          name: '⚡ Rate Limits (from Riot\'s headers)',
+          value: this.formatRateLimitBuckets(status.buckets),
           inline: false
         }
       )
       .setTimestamp();
   }
 
+  /**
+   * Describe the polling tiers and the API budget they are expected to use
+   * @param {Object|null} polling - Result of MatchChecker.getPollingBudget, null before the bot is ready
+   * @param {number} capacityPerMinute - Requests per minute allowed by the strictest app limit
+   * @returns {string} - Field value
+   * @private
+   */
+  static formatPollingBudget(polling, capacityPerMinute) {
+    if (!polling) return 'Match checker not started yet';
+
+    const tiers = Object.entries(polling.tiers).map(([name, count]) => `${name} ${count}`).join(' · ') || 'no players';
+    const total = polling.matchRequestsPerMinute + polling.liveRequestsPerMinute;
+
+    return [
+      `• Players by tier: **${tiers}**`,
+      `• Match lists: **~${polling.matchRequestsPerMinute.toFixed(1)}** requests/min`,
+      `• Live games: **~${polling.liveRequestsPerMinute.toFixed(1)}** requests/min`,
+      `• Expected budget: **~${Math.round(total / capacityPerMinute * 100)}%** of the app limit ` +
+        `(${Math.floor(capacityPerMinute)}/min), plus match and rank lookups for new games`
+    ].join('\n');
+  }
+
+  /**
+   * Format rate limiter buckets as one line each, e.g. "`na1` 3/18 per 1s, 40/90 per 120s"
+   * @param {Array} buckets - Buckets from RateLimiter.getQueueStatus
+   * @returns {string} - Lines, shortened to fit an embed field
+   */
+  static formatRateLimitBuckets(buckets) {
+    const lines = buckets.map(bucket => {
+      const limits = bucket.limits.length > 0
+        ? bucket.limits.map(limit => `${limit.used}/${limit.count} per ${limit.window / 1000}s`).join(', ')
+        : 'not reported yet';
+      const blocked = bucket.blockedFor > 0 ? ` ⛔ ${Math.ceil(bucket.blockedFor / 1000)}s` : '';
+      return `• \`${bucket.key}\` ${limits}${blocked}`;
+    });
+
+    if (lines.length === 0) return 'No requests made yet';
+    if (lines.length > 10) {
+      return [...lines.slice(0, 10), `…and ${lines.length - 10} more`].join('\n');
+    }
+    return lines.join('\n');
+  }
+
   /**
    * Create an error embed
    * @param {string} title - Error title
@@ -129,7 +578,7 @@ class EmbedUtils {
    * Create a configuration embed
    * @param {Object} config - Guild configuration
    * @param {Array} players - Array of players
-   * @param {number} checkInterval - Check interval in seconds
+   * @param {number} checkInterval - Check interval of active players in seconds
    * @returns {EmbedBuilder} - Discord embed
    */
   static createConfigEmbed(config, players, checkInterval) {
@@ -142,16 +591,21 @@ class EmbedUtils {
           value: config.channel ? config.channel.toString() : 'Not found',
           inline: false
         },
+        {
+          name: '🎮 Queues Posted',
+          value: config.queues && config.queues.length > 0 ? config.queues.join(', ') : 'None',
+          inline: false
+        },
         {
           name: '👥 Tracked Players',
           value: players.length > 0 
-            ? players.map(p => `• ${p.game_name}#${p.tag_line}`).join('\n')
+            ? players.map(p => `• ${p.game_name}#${p.tag_line} (${(p.platform || '').toUpperCase()})`).join('\n')
             : 'No players tracked',
           inline: false
         },
         {
           name: '🔄 Auto-check',
-          value: `Every **${checkInterval}** seconds (dynamic)`,
+          value: `Every **${checkInterval}** seconds for active players, less often for inactive ones`,
           inline: false
         }
       )
@@ -164,6 +618,56 @@ class EmbedUtils {
     return embed;
   }
 
+  /**
+   * Create a channel routing embed
+   * @param {Array} routes - Routes ({ label, channelId })
+   * @param {string} defaultChannelId - Channel used when no route applies
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createRouteListEmbed(routes, defaultChannelId) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔀 Channel Routes')
+      .setColor(0x0099FF)
+      .addFields({ name: 'Default Channel', value: `<#${defaultChannelId}>`, inline: false })
+      .setFooter({ text: 'Player routes win over queue routes, which win over event routes' })
+      .setTimestamp();
+
+    embed.setDescription(routes.length > 0
+      ? routes.map(route => `• **${route.label}** → <#${route.channelId}>`).join('\n')
+      : 'No routes set. Everything is posted in the default channel.');
+
+    return embed;
+  }
+
+  /**
+   * Create a member link embed
+   * @param {Map} members - Discord user ID -> approved link rows (see LinkUtils.groupByMember)
+   * @param {Array} pending - Link rows waiting for approval
+   * @returns {EmbedBuilder} - Discord embed
+   */
+  static createMemberLinkListEmbed(members, pending) {
+    const embed = new EmbedBuilder()
+      .setTitle('🔗 Linked Members')
+      .setColor(0x0099FF)
+      .setTimestamp();
+
+    const formatAccounts = links => links.map(link => `${link.game_name}#${link.tag_line}`).join(', ');
+
+    embed.setDescription(members.size > 0
+      ? Array.from(members, ([userId, links]) => `• <@${userId}> - ${formatAccounts(links)}`).join('\n')
+      : 'No linked members yet. Members can claim their accounts with /link claim.');
+
+    if (pending.length > 0) {
+      embed.addFields({
+        name: 'Waiting for Approval',
+        value: pending.map(link => `• <@${link.discord_user_id}> - ${link.game_name}#${link.tag_line}`).join('\n'),
+        inline: false
+      });
+    }
+
+    return embed;
+  }
+
   /**
    * Create a help embed
    * @returns {EmbedBuilder} - Discord embed
@@ -179,6 +683,46 @@ class EmbedUtils {
           value: 'Set up the bot configuration and add players to track',
           inline: false
         },
+        {
+          name: '/track',
+          value: 'Add, remove or list tracked players, or move updates to another channel',
+          inline: false
+        },
+        {
+          name: '/history',
+          value: 'Show stored match history for a tracked player',
+          inline: false
+        },
+        {
+          name: '/stats',
+          value: 'Show win rate, KDA, damage and most played champions for a tracked player or all accounts of a linked member',
+          inline: false
+        },
+        {
+          name: '/leaderboard',
+          value: 'Rank tracked players by win rate, KDA, games, damage or LP',
+          inline: false
+        },
+        {
+          name: '/settings',
+          value: 'Choose which queues (ranked, normals, ARAM, Arena) get posted, which highlights are shown, which streaks are announced, when recaps are posted and how linked members are shown',
+          inline: false
+        },
+        {
+          name: '/route',
+          value: 'Post match results, rank changes, live games, highlights, streaks or recaps in their own channel, by queue or player',
+          inline: false
+        },
+        {
+          name: '/link',
+          value: 'Claim the tracked Riot accounts you play on, so match posts show you and /stats can combine them',
+          inline: false
+        },
+        {
+          name: '/follow, /unfollow',
+          value: `Get a tracked player's match results by DM (up to ${config.follows.maxPerUser} players)`,
+          inline: false
+        },
         {
           name: '/check',
           value: 'Manually check for new matches from all tracked players',
@@ -200,7 +744,7 @@ class EmbedUtils {
           inline: false
         }
       )
-      .setFooter({ text: 'All commands require Administrator permissions' })
+      .setFooter({ text: 'All commands except /link, /follow and /unfollow require Administrator permissions' })
       .setTimestamp();
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * Highlight Rules
+ * Detects memorable games (multikills, perfect games, feeding, fast surrenders)
+ * from a mapped match, so embeds can show badges and flavor text
+ */
+const config = require('../config');
+
+/**
+ * Format seconds as m:ss, e.g. 903 -> "15:03"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+function formatClock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Order matters: badges and flavor text are shown in this order.
+// separatePost rules also get their own announcement.
+const RULES = [
+  {
+    id: 'pentakill',
+    label: 'Pentakills',
+    badge: '🏆',
+    separatePost: true,
+    test: match => match.pentaKills > 0,
+    describe: match => match.pentaKills > 1 ? `${match.pentaKills} PENTAKILLS. Unreal.` : 'PENTAKILL!'
+  },
+  {
+    id: 'quadrakill',
+    label: 'Quadrakills',
+    badge: '🔥',
+    test: match => match.quadraKills > 0 && !(match.pentaKills > 0),
+    describe: () => 'Quadrakill! One more and it was a penta.'
+  },
+  {
+    id: 'perfect_game',
+    label: 'Perfect games (0 deaths)',
+    badge: '🛡️',
+    test: match => match.deaths === 0,
+    describe: () => 'Perfect game: not a single death.'
+  },
+  {
+    id: 'feeding',
+    label: 'Feeding alerts',
+    badge: '💀',
+    test: match => match.deaths >= config.highlights.feedingDeaths,
+    describe: match => `${match.deaths} deaths. Someone take their keyboard.`
+  },
+  {
+    id: 'first_blood',
+    label: 'First blood',
+    badge: '🩸',
+    test: match => match.firstBloodKill,
+    describe: () => 'Drew first blood.'
+  },
+  {
+    id: 'top_damage',
+    label: 'Most damage in the lobby',
+    badge: '💥',
+    test: match => match.damageRank === 1,
+    describe: () => 'Most damage in the lobby.'
+  },
+  {
+    id: 'early_surrender',
+    label: 'Very short surrenders',
+    badge: '🏳️',
+    test: match => match.surrendered && (match.earlySurrender || match.gameDuration < config.highlights.shortSurrender),
+    describe: match => match.win
+      ? `The enemy team gave up at ${formatClock(match.gameDuration)}.`
+      : `Surrendered at ${formatClock(match.gameDuration)}.`
+  }
+];
+
+class HighlightRules {
+  /**
+   * Get every rule, for settings and help
+   * @returns {Array} - Rules ({ id, label, badge, separatePost })
+   */
+  static getRules() {
+    return RULES.map(({ id, label, badge, separatePost = false }) => ({ id, label, badge, separatePost }));
+  }
+
+  /**
+   * Get the rule IDs a guild has turned on (every rule unless disabled)
+   * @param {Object} guildConfig - Guild config row (disabled_highlights is a comma-separated list of rule IDs)
+   * @returns {Array<string>} - Enabled rule IDs
+   */
+  static getEnabledRuleIds(guildConfig) {
+    const disabled = guildConfig && guildConfig.disabled_highlights ? guildConfig.disabled_highlights.split(',') : [];
+    return RULES.map(rule => rule.id).filter(id => !disabled.includes(id));
+  }
+
+  /**
+   * Run a match through the enabled rules
+   * @param {Object} match - Mapped match data (see MatchMapper)
+   * @param {Array<string>} enabledRuleIds - Rule IDs to run (default: all)
+   * @returns {Array} - Highlights ({ id, badge, text, separatePost })
+   */
+  static detect(match, enabledRuleIds = RULES.map(rule => rule.id)) {
+    return RULES
+      .filter(rule => enabledRuleIds.includes(rule.id) && rule.test(match))
+      .map(rule => ({
+        id: rule.id,
+        badge: rule.badge,
+        text: rule.describe(match),
+        separatePost: rule.separatePost || false
+      }));
+  }
+}
+
+module.exports = HighlightRules;
@@ -0,0 +1,56 @@
+/**
+ * Member Link Utilities
+ * Per-guild settings for Discord members linked to tracked Riot accounts
+ */
+const config = require('../config');
+
+class LinkUtils {
+  /**
+   * Get how a guild handles links, falling back to the defaults
+   * @param {Object} guildConfig - Guild config row
+   * @returns {Object} - { mode, display } (see config.links)
+   */
+  static getSettings(guildConfig) {
+    return {
+      mode: guildConfig?.link_mode ?? config.links.mode,
+      display: guildConfig?.member_display ?? config.links.display
+    };
+  }
+
+  /**
+   * Get the Discord members behind the players of a post, in the players' order
+   * @param {Array} links - Guild link rows ({ puuid, discord_user_id, approved })
+   * @param {Array<string>} puuids - Players in the post
+   * @returns {Array<string>} - Discord user IDs, without duplicates or pending links
+   */
+  static getMemberIds(links, puuids) {
+    const memberIds = puuids
+      .map(puuid => links.find(link => link.puuid === puuid && link.approved))
+      .filter(Boolean)
+      .map(link => link.discord_user_id);
+    return [...new Set(memberIds)];
+  }
+
+  /**
+   * Group link rows by member, keeping pending claims apart
+   * @param {Array} links - Guild link rows with game_name and tag_line
+   * @returns {Object} - { members: Map(userId -> rows), pending: rows }
+   */
+  static groupByMember(links) {
+    const members = new Map();
+    const pending = [];
+
+    for (const link of links) {
+      if (!link.approved) {
+        pending.push(link);
+        continue;
+      }
+      if (!members.has(link.discord_user_id)) members.set(link.discord_user_id, []);
+      members.get(link.discord_user_id).push(link);
+    }
+
+    return { members, pending };
+  }
+}
+
+module.exports = LinkUtils;
@@ -0,0 +1,215 @@
+/**
+ * Match Layouts
+ * Game-mode-specific parts of the match embed, selected by queue ID
+ */
+
+const ARENA_QUEUES = [1700, 1710];
+const ARAM_QUEUES = [100, 450, 720, 2400];
+
+/**
+ * Format a placement as an ordinal, e.g. "2nd"
+ * @param {number} placement - Placement (1-8)
+ * @returns {string} - Ordinal placement
+ */
+function formatPlacement(placement) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return `${placement}${suffixes[placement] || 'th'}`;
+}
+
+/**
+ * Format another participant, e.g. "**Ahri** (Name#TAG)"
+ * @param {Object} player - Partner or opponent ({ gameName, tagLine, championName, championDisplayName })
+ * @returns {string} - Formatted player
+ */
+function formatPlayer(player) {
+  const champion = player.championDisplayName || player.championName;
+  return player.gameName ? `**${champion}** (${player.gameName}#${player.tagLine})` : `**${champion}**`;
+}
+
+/**
+ * Format a large number compactly, e.g. 12345 -> "12.3k"
+ * @param {number} value - Number to format
+ * @returns {string} - Compact number
+ */
+function formatCompact(value) {
+  return Math.abs(value) >= 1000 ? `${(value / 1000).toFixed(1)}k` : `${value}`;
+}
+
+/**
+ * Compare one stat against the lane opponent, e.g. "Gold **12.1k** vs 11.0k (+1.1k)"
+ * @param {string} label - Stat label
+ * @param {number} mine - Player's value
+ * @param {number} theirs - Opponent's value
+ * @returns {string} - Comparison line
+ */
+function formatComparison(label, mine, theirs) {
+  const diff = mine - theirs;
+  const sign = diff > 0 ? '+' : diff < 0 ? '-' : '±';
+  return `${label} **${formatCompact(mine)}** vs ${formatCompact(theirs)} (${sign}${formatCompact(Math.abs(diff))})`;
+}
+
+/**
+ * Summoner's Rift and the default for any other queue
+ */
+class SummonersRiftLayout {
+  getResult(match) {
+    return match.win ? 'Victory' : 'Defeat';
+  }
+
+  getColor(match) {
+    return match.win ? 0x00FF00 : 0xFF0000;
+  }
+
+  getFields(match) {
+    const fields = [];
+
+    if (match.cs !== undefined) {
+      fields.push(
+        { name: 'CS', value: `${match.cs} (${match.csPerMinute.toFixed(1)}/min)`, inline: true },
+        { name: 'Gold', value: `${match.goldEarned}`, inline: true },
+        { name: 'Vision', value: `${match.visionScore}`, inline: true },
+        { name: 'Kill Participation', value: `${Math.round(match.killParticipation * 100)}%`, inline: true }
+      );
+    }
+
+    if (match.laneOpponent) {
+      fields.push({ name: 'Lane Opponent', value: this.formatLaneMatchup(match), inline: false });
+    }
+
+    return [...fields, ...this.getLoadoutFields(match), ...this.getScoreboardFields(match)];
+  }
+
+  /**
+   * Name the lane opponent and compare CS, gold and damage against them
+   * @protected
+   */
+  formatLaneMatchup(match) {
+    const opponent = match.laneOpponent;
+    if (opponent.cs === undefined) return `vs ${formatPlayer(opponent)}`;
+
+    return [
+      `vs ${formatPlayer(opponent)}`,
+      formatComparison('CS', match.cs, opponent.cs),
+      formatComparison('Gold', match.goldEarned, opponent.goldEarned),
+      formatComparison('DMG', match.totalDamageDealtToChampions, opponent.totalDamageDealtToChampions)
+    ].join('\n');
+  }
+
+  /**
+   * Compact scoreboard of both teams, with the tracked player in bold
+   * @protected
+   */
+  getScoreboardFields(match) {
+    if (!match.teams || match.teams.length !== 2) return [];
+
+    const teamNames = { 100: '🔵 Blue Team', 200: '🔴 Red Team' };
+    return match.teams.map(team => ({
+      name: `${teamNames[team.teamId] || `Team ${team.teamId}`} - ${team.win ? 'Victory' : 'Defeat'}`,
+      value: team.players.map(player => {
+        const line = `${player.championDisplayName || player.championName} ${player.kills}/${player.deaths}/${player.assists} • ` +
+          `${player.cs} CS • ${formatCompact(player.totalDamageDealtToChampions)} DMG`;
+        return player.puuid === match.puuid ? `**${line}**` : line;
+      }).join('\n'),
+      inline: false
+    }));
+  }
+
+  /**
+   * Runes, summoner spells and items
+   * @protected
+   */
+  getLoadoutFields(match) {
+    const fields = [];
+
+    if (match.keystoneName) {
+      const runes = match.secondaryStyleName ? `${match.keystoneName} / ${match.secondaryStyleName}` : match.keystoneName;
+      fields.push({ name: 'Runes', value: runes, inline: true });
+    }
+
+    if (match.summonerSpellNames && match.summonerSpellNames.length > 0) {
+      fields.push({ name: 'Spells', value: match.summonerSpellNames.join(' + '), inline: true });
+    }
+
+    if (match.itemNames && match.itemNames.length > 0) {
+      fields.push({ name: 'Items', value: match.itemNames.join(', '), inline: false });
+    }
+
+    return fields;
+  }
+}
+
+/**
+ * ARAM: one lane, so damage share and healing matter more than CS and vision
+ */
+class AramLayout extends SummonersRiftLayout {
+  getFields(match) {
+    const fields = [];
+
+    if (match.damageShare !== undefined) {
+      fields.push(
+        { name: 'Damage Share', value: `${Math.round(match.damageShare * 100)}%`, inline: true },
+        { name: 'Healing', value: `${match.totalHeal} (${match.totalHealsOnTeammates} on allies)`, inline: true },
+        { name: 'Kill Participation', value: `${Math.round(match.killParticipation * 100)}%`, inline: true },
+        { name: 'Gold', value: `${match.goldEarned}`, inline: true }
+      );
+    }
+
+    return [...fields, ...this.getLoadoutFields(match)];
+  }
+}
+
+/**
+ * Arena: duos are ranked 1st to 8th, top half counts as a win
+ */
+class ArenaLayout extends SummonersRiftLayout {
+  getResult(match) {
+    if (!match.placement) return super.getResult(match);
+    const medals = { 1: '🥇 ', 2: '🥈 ', 3: '🥉 ' };
+    return `${medals[match.placement] || ''}${formatPlacement(match.placement)} place`;
+  }
+
+  getColor(match) {
+    if (!match.placement) return super.getColor(match);
+    if (match.placement === 1) return 0xFFD700;
+    return match.placement <= 4 ? 0x00FF00 : 0xFF0000;
+  }
+
+  getFields(match) {
+    const fields = [];
+
+    if (match.partner) {
+      fields.push({ name: 'Partner', value: formatPlayer(match.partner), inline: true });
+    }
+
+    if (match.augmentNames && match.augmentNames.length > 0) {
+      fields.push({ name: 'Augments', value: match.augmentNames.join(', '), inline: false });
+    }
+
+    if (match.itemNames && match.itemNames.length > 0) {
+      fields.push({ name: 'Items', value: match.itemNames.join(', '), inline: false });
+    }
+
+    return fields;
+  }
+}
+
+const layouts = {
+  summonersRift: new SummonersRiftLayout(),
+  aram: new AramLayout(),
+  arena: new ArenaLayout()
+};
+
+class MatchLayouts {
+  /**
+   * Get the embed layout for a queue
+   * @param {number} queueId - Match queue ID
+   * @returns {SummonersRiftLayout} - Layout with getResult, getColor and getFields
+   */
+  static forQueue(queueId) {
+    if (ARENA_QUEUES.includes(queueId)) return layouts.arena;
+    if (ARAM_QUEUES.includes(queueId)) return layouts.aram;
+    return layouts.summonersRift;
+  }
+}
+
+module.exports = MatchLayouts;
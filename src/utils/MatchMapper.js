@@ -0,0 +1,149 @@
+/**
+ * Match Mapper
+ * Converts match-v5 payloads into the flat match objects used by embeds and storage
+ */
+const POSITION_ORDER = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY'];
+
+class MatchMapper {
+  /**
+   * Map a match payload from one participant's point of view
+   * @param {string} matchId - Match ID
+   * @param {Object} matchData - match-v5 payload
+   * @param {string} puuid - Participant's PUUID
+   * @returns {Object|null} - Match data or null if the player is not in the match
+   */
+  static toPlayerMatch(matchId, matchData, puuid) {
+    const { info } = matchData;
+    const participant = info.participants.find(p => p.puuid === puuid);
+    if (!participant) return null;
+
+    // Arena duos share a subteam; on Summoner's Rift the lane opponent shares the position
+    const partner = participant.playerSubteamId
+      ? info.participants.find(p => p.puuid !== puuid && p.playerSubteamId === participant.playerSubteamId)
+      : null;
+    const laneOpponent = participant.teamPosition
+      ? info.participants.find(p => p.teamId !== participant.teamId && p.teamPosition === participant.teamPosition)
+      : null;
+
+    return {
+      matchId,
+      platformId: info.platformId,
+      queueId: info.queueId,
+      gameStartTimestamp: info.gameStartTimestamp,
+      gameEndTimestamp: info.gameEndTimestamp,
+      gameMode: info.gameMode,
+      gameDuration: info.gameDuration,
+      ...MatchMapper.mapParticipant(participant, info),
+      partner: partner ? MatchMapper.mapOtherPlayer(partner) : null,
+      laneOpponent: laneOpponent ? MatchMapper.mapOtherPlayer(laneOpponent) : null,
+      teams: MatchMapper.mapTeams(info)
+    };
+  }
+
+  /**
+   * Group every participant by team for the scoreboard, ordered by position
+   * @param {Object} info - match-v5 info block
+   * @returns {Array} - Teams ({ teamId, win, players })
+   */
+  static mapTeams(info) {
+    const positionIndex = p => {
+      const index = POSITION_ORDER.indexOf(p.teamPosition);
+      return index === -1 ? POSITION_ORDER.length : index;
+    };
+
+    const teamIds = [...new Set(info.participants.map(p => p.teamId))].sort();
+    return teamIds.map(teamId => {
+      const players = info.participants
+        .filter(p => p.teamId === teamId)
+        .sort((a, b) => positionIndex(a) - positionIndex(b));
+
+      return {
+        teamId,
+        win: players.some(p => p.win),
+        players: players.map(p => MatchMapper.mapOtherPlayer(p))
+      };
+    });
+  }
+
+  /**
+   * Map the identity of another participant (partner, opponent)
+   * @param {Object} participant - match-v5 participant
+   * @returns {Object} - Identity plus the stats shown in comparisons and the scoreboard
+   */
+  static mapOtherPlayer(participant) {
+    return {
+      puuid: participant.puuid,
+      gameName: participant.riotIdGameName,
+      tagLine: participant.riotIdTagline,
+      championName: participant.championName,
+      championId: participant.championId,
+      teamPosition: participant.teamPosition,
+      kills: participant.kills,
+      deaths: participant.deaths,
+      assists: participant.assists,
+      cs: (participant.totalMinionsKilled || 0) + (participant.neutralMinionsKilled || 0),
+      goldEarned: participant.goldEarned || 0,
+      totalDamageDealtToChampions: participant.totalDamageDealtToChampions || 0
+    };
+  }
+
+  /**
+   * Map a single participant's stats
+   * @param {Object} participant - match-v5 participant
+   * @param {Object} info - match-v5 info block (for team totals and duration)
+   * @returns {Object} - Participant stats
+   */
+  static mapParticipant(participant, info) {
+    const minutes = (info.gameDuration || 0) / 60;
+    const cs = (participant.totalMinionsKilled || 0) + (participant.neutralMinionsKilled || 0);
+    const team = info.participants.filter(p => p.teamId === participant.teamId);
+    const teamKills = team.reduce((sum, p) => sum + (p.kills || 0), 0);
+    const teamDamage = team.reduce((sum, p) => sum + (p.totalDamageDealtToChampions || 0), 0);
+    const damageRank = 1 + info.participants
+      .filter(p => (p.totalDamageDealtToChampions || 0) > (participant.totalDamageDealtToChampions || 0)).length;
+    const styles = (participant.perks && participant.perks.styles) || [];
+
+    return {
+      puuid: participant.puuid,
+      championName: participant.championName,
+      championId: participant.championId,
+      kills: participant.kills,
+      deaths: participant.deaths,
+      assists: participant.assists,
+      win: participant.win,
+      gameName: participant.riotIdGameName,
+      tagLine: participant.riotIdTagline,
+      teamId: participant.teamId,
+      teamPosition: participant.teamPosition,
+      totalDamageDealtToChampions: participant.totalDamageDealtToChampions,
+      goldEarned: participant.goldEarned,
+      totalMinionsKilled: participant.totalMinionsKilled,
+      neutralMinionsKilled: participant.neutralMinionsKilled,
+      cs,
+      csPerMinute: minutes > 0 ? cs / minutes : 0,
+      visionScore: participant.visionScore,
+      killParticipation: teamKills > 0 ? ((participant.kills || 0) + (participant.assists || 0)) / teamKills : 0,
+      damageShare: teamDamage > 0 ? (participant.totalDamageDealtToChampions || 0) / teamDamage : 0,
+      totalHeal: participant.totalHeal || 0,
+      totalHealsOnTeammates: participant.totalHealsOnTeammates || 0,
+      damageRank,
+      pentaKills: participant.pentaKills || 0,
+      quadraKills: participant.quadraKills || 0,
+      firstBloodKill: Boolean(participant.firstBloodKill),
+      surrendered: Boolean(participant.gameEndedInSurrender || participant.gameEndedInEarlySurrender),
+      earlySurrender: Boolean(participant.gameEndedInEarlySurrender),
+      placement: participant.placement || null,
+      augments: [1, 2, 3, 4, 5, 6]
+        .map(slot => participant[`playerAugment${slot}`])
+        .filter(augmentId => augmentId),
+      items: [0, 1, 2, 3, 4, 5, 6]
+        .map(slot => participant[`item${slot}`])
+        .filter(itemId => itemId),
+      keystoneId: styles[0] && styles[0].selections && styles[0].selections[0] ? styles[0].selections[0].perk : null,
+      secondaryStyleId: styles[1] ? styles[1].style : null,
+      summonerSpellIds: [participant.summoner1Id, participant.summoner2Id].filter(spellId => spellId)
+    };
+  }
+}
+
+module.exports = MatchMapper;
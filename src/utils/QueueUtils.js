@@ -0,0 +1,92 @@
+/**
+ * Queue Utilities
+ * Names match-v5 queues and turns a guild's queue selection into match list filters
+ */
+const config = require('../config');
+
+// Match-v5 queue IDs -> display names (https://static.developer.riotgames.com/docs/lol/queues.json)
+const QUEUE_NAMES = {
+  0: 'Custom Game',
+  400: 'Normal Draft',
+  420: 'Ranked Solo/Duo',
+  430: 'Normal Blind',
+  440: 'Ranked Flex',
+  450: 'ARAM',
+  480: 'Swiftplay',
+  490: 'Quickplay',
+  700: 'Clash',
+  720: 'ARAM Clash',
+  830: 'Co-op vs. AI (Intro)',
+  840: 'Co-op vs. AI (Beginner)',
+  850: 'Co-op vs. AI (Intermediate)',
+  900: 'ARURF',
+  1020: 'One for All',
+  1300: 'Nexus Blitz',
+  1700: 'Arena',
+  1710: 'Arena',
+  1900: 'URF',
+  2400: 'ARAM: Mayhem'
+};
+const RANKED_QUEUE_IDS = [420, 440];
+
+class QueueUtils {
+  /**
+   * Get a human-readable queue name
+   * @param {number} queueId - Match-v5 queue ID
+   * @param {string} gameMode - Fallback when the queue is unknown (e.g. "CLASSIC")
+   * @returns {string} - Queue name
+   */
+  static getQueueName(queueId, gameMode) {
+    return QUEUE_NAMES[queueId] || gameMode || `Queue ${queueId}`;
+  }
+
+  /**
+   * Get the queue groups a guild posts, falling back to the defaults
+   * @param {Object} guildConfig - Guild config row (queues is a comma-separated list of group keys)
+   * @returns {Array<string>} - Queue group keys
+   */
+  static getGuildQueueGroups(guildConfig) {
+    if (!guildConfig || guildConfig.queues === null || guildConfig.queues === undefined) {
+      return [...config.queues.defaults];
+    }
+    return guildConfig.queues.split(',').filter(group => config.queues.groups[group]);
+  }
+
+  /**
+   * Get the queue IDs a guild posts
+   * @param {Object} guildConfig - Guild config row
+   * @returns {Array<number>} - Queue IDs
+   */
+  static getGuildQueueIds(guildConfig) {
+    return QueueUtils.getGuildQueueGroups(guildConfig).flatMap(group => config.queues.groups[group].queueIds);
+  }
+
+  /**
+   * Get the match list filter that narrows results to the given queues as far as the API allows
+   * match-v5 takes a single queue ID or a queue type, so mixed selections are fetched
+   * unfiltered and narrowed with isQueueEnabled once the match is loaded.
+   * @param {Array<number>} queueIds - Enabled queue IDs
+   * @returns {Object} - { queue } or { type } query parameters, empty for no filter
+   */
+  static getMatchListFilter(queueIds) {
+    if (queueIds.length === 1) {
+      return { queue: queueIds[0] };
+    }
+    if (queueIds.length > 0 && queueIds.every(queueId => RANKED_QUEUE_IDS.includes(queueId))) {
+      return { type: 'ranked' };
+    }
+    return {};
+  }
+
+  /**
+   * Check whether a match's queue is one the guild posts
+   * @param {Array<number>} queueIds - Enabled queue IDs
+   * @param {number} queueId - Match queue ID
+   * @returns {boolean} - Whether the queue is enabled
+   */
+  static isQueueEnabled(queueIds, queueId) {
+    return queueIds.includes(queueId);
+  }
+}
+
+module.exports = QueueUtils;
@@ -0,0 +1,133 @@
+/**
+ * Rank Utilities
+ * Converts ranked entries (tier/division/LP) into comparable ladder scores
+ */
+const TIERS = [
+  'IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'
+];
+const DIVISIONS = ['IV', 'III', 'II', 'I'];
+const APEX_TIERS = ['MASTER', 'GRANDMASTER', 'CHALLENGER'];
+
+// Match-v5 queue IDs that award LP, mapped to league-v4 queue types
+const RANKED_QUEUES = {
+  420: 'RANKED_SOLO_5x5',
+  440: 'RANKED_FLEX_SR'
+};
+const QUEUE_LABELS = {
+  RANKED_SOLO_5x5: 'Solo/Duo',
+  RANKED_FLEX_SR: 'Flex'
+};
+
+class RankUtils {
+  /**
+   * Get a ladder score where each division is worth 100 LP
+   * Master and above share one ladder, so their LP is added on top of Master's base.
+   * @param {Object} entry - Rank entry with tier, rank (division) and leaguePoints/league_points
+   * @returns {number|null} - Ladder score or null if unranked
+   */
+  static toScore(entry) {
+    if (!entry || !entry.tier) return null;
+
+    const leaguePoints = entry.leaguePoints ?? entry.league_points ?? 0;
+    if (APEX_TIERS.includes(entry.tier)) {
+      return TIERS.indexOf('MASTER') * 400 + leaguePoints;
+    }
+
+    const tierIndex = TIERS.indexOf(entry.tier);
+    const divisionIndex = DIVISIONS.indexOf(entry.rank);
+    if (tierIndex === -1 || divisionIndex === -1) return null;
+
+    return tierIndex * 400 + divisionIndex * 100 + leaguePoints;
+  }
+
+  /**
+   * Get a comparable index of a tier and division, ignoring LP
+   * Each apex tier counts as a single division.
+   * @param {Object} entry - Rank entry
+   * @returns {number|null} - Division index or null if unranked
+   */
+  static toDivisionIndex(entry) {
+    if (!entry || !entry.tier) return null;
+
+    const tierIndex = TIERS.indexOf(entry.tier);
+    if (tierIndex === -1) return null;
+    if (APEX_TIERS.includes(entry.tier)) return tierIndex * DIVISIONS.length;
+
+    return tierIndex * DIVISIONS.length + Math.max(0, DIVISIONS.indexOf(entry.rank));
+  }
+
+  /**
+   * Get the league-v4 queue type for a match-v5 queue ID
+   * @param {number} queueId - Match queue ID
+   * @returns {string|null} - Queue type or null if the queue is unranked
+   */
+  static getQueueType(queueId) {
+    return RANKED_QUEUES[queueId] || null;
+  }
+
+  /**
+   * Get the match-v5 queue ID for a league-v4 queue type
+   * @param {string} queueType - Queue type
+   * @returns {number|null} - Queue ID or null if the queue type is not tracked
+   */
+  static getQueueId(queueType) {
+    const entry = Object.entries(RANKED_QUEUES).find(([, type]) => type === queueType);
+    return entry ? Number(entry[0]) : null;
+  }
+
+  /**
+   * Check whether a league-v4 queue type is one we track LP for
+   * @param {string} queueType - Queue type
+   * @returns {boolean} - Whether the queue is tracked
+   */
+  static isRankedQueueType(queueType) {
+    return Object.values(RANKED_QUEUES).includes(queueType);
+  }
+
+  /**
+   * Get a short label for a league-v4 queue type
+   * @param {string} queueType - Queue type
+   * @returns {string} - Label
+   */
+  static getQueueLabel(queueType) {
+    return QUEUE_LABELS[queueType] || queueType;
+  }
+
+  /**
+   * Format a tier and division without LP, e.g. "Gold II"
+   * @param {Object} entry - Rank entry
+   * @returns {string} - Formatted tier
+   */
+  static formatTier(entry) {
+    if (!entry || !entry.tier) return 'Unranked';
+
+    const tier = entry.tier.charAt(0) + entry.tier.slice(1).toLowerCase();
+    return APEX_TIERS.includes(entry.tier) ? tier : `${tier} ${entry.rank}`;
+  }
+
+  /**
+   * Format a rank entry, e.g. "Gold II 45 LP"
+   * @param {Object} entry - Rank entry
+   * @returns {string} - Formatted rank
+   */
+  static format(entry) {
+    if (!entry || !entry.tier) return 'Unranked';
+
+    const leaguePoints = entry.leaguePoints ?? entry.league_points ?? 0;
+    return `${RankUtils.formatTier(entry)} ${leaguePoints} LP`;
+  }
+
+  /**
+   * Format a signed LP difference, e.g. "+18 LP" or "-21 LP"
+   * @param {number} diff - LP difference
+   * @returns {string} - Formatted difference
+   */
+  static formatDiff(diff) {
+    return `${diff >= 0 ? '+' : ''}${diff} LP`;
+  }
+}
+
+RankUtils.TIERS = TIERS;
+RankUtils.DIVISIONS = DIVISIONS;
+
+module.exports = RankUtils;
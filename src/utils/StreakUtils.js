@@ -0,0 +1,44 @@
+/**
+ * Streak Utilities
+ * Decides when a win or loss streak is worth announcing and how to describe it
+ */
+const config = require('../config');
+
+class StreakUtils {
+  /**
+   * Get the streak lengths a guild announces, falling back to the defaults
+   * @param {Object} guildConfig - Guild config row
+   * @returns {Object} - { win, loss } thresholds, 0 when turned off
+   */
+  static getThresholds(guildConfig) {
+    return {
+      win: guildConfig?.win_streak_threshold ?? config.streaks.winThreshold,
+      loss: guildConfig?.loss_streak_threshold ?? config.streaks.lossThreshold
+    };
+  }
+
+  /**
+   * Check whether a streak just reached a milestone (every multiple of the threshold)
+   * @param {Object} streak - { win, count }
+   * @param {Object} thresholds - { win, loss }
+   * @returns {boolean} - Whether to announce the streak
+   */
+  static isMilestone(streak, thresholds) {
+    const threshold = streak.win ? thresholds.win : thresholds.loss;
+    return threshold > 0 && streak.count > 0 && streak.count % threshold === 0;
+  }
+
+  /**
+   * Describe a streak, e.g. "🔥 5-game win streak"
+   * @param {Object} streak - { win, count }
+   * @returns {string} - Description, empty without a streak
+   */
+  static format(streak) {
+    if (!streak || streak.count === 0) return '';
+    return streak.win
+      ? `🔥 ${streak.count}-game win streak`
+      : `🧊 ${streak.count}-game losing streak`;
+  }
+}
+
+module.exports = StreakUtils;
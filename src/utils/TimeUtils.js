@@ -0,0 +1,118 @@
+/**
+ * Time Utilities
+ * Wall-clock calculations in a guild's IANA timezone using only Intl
+ */
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that prints every date part in a timezone
+ * @param {string} timeZone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'long'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+class TimeUtils {
+  /**
+   * Check whether a timezone name is known to Intl
+   * @param {string} timeZone - IANA timezone, e.g. "America/Sao_Paulo"
+   * @returns {boolean} - Whether the timezone is valid
+   */
+  static isValidTimezone(timeZone) {
+    try {
+      getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the wall-clock date and time of a timestamp in a timezone
+   * @param {number} timestamp - Timestamp (ms)
+   * @param {string} timeZone - IANA timezone
+   * @returns {Object} - { year, month (0-11), day, hour, minute, second, weekday (0 = Sunday) }
+   */
+  static getZonedParts(timestamp, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month) - 1,
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * Get the timestamp of a wall-clock time in a timezone
+   * Out-of-range days and months roll over like Date.UTC (day 0 is the last day of the previous month).
+   * @param {number} year - Year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of month
+   * @param {number} hour - Hour (0-23)
+   * @param {string} timeZone - IANA timezone
+   * @returns {number} - Timestamp (ms)
+   */
+  static zonedTimeToTimestamp(year, month, day, hour, timeZone) {
+    const wallTime = Date.UTC(year, month, day, hour);
+
+    // The offset at the wall time may differ from the offset at the result around DST changes,
+    // so correct once with the offset at the first guess
+    let timestamp = wallTime - TimeUtils.getOffset(wallTime, timeZone);
+    timestamp = wallTime - TimeUtils.getOffset(timestamp, timeZone);
+    return timestamp;
+  }
+
+  /**
+   * Get a timezone's offset from UTC at a timestamp
+   * @param {number} timestamp - Timestamp (ms)
+   * @param {string} timeZone - IANA timezone
+   * @returns {number} - Offset in ms (e.g. -3 hours for America/Sao_Paulo)
+   */
+  static getOffset(timestamp, timeZone) {
+    const parts = TimeUtils.getZonedParts(timestamp, timeZone);
+    const wallTime = Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second);
+    return wallTime - Math.floor(timestamp / 1000) * 1000;
+  }
+
+  /**
+   * Get a weekday's name
+   * @param {number} weekday - Weekday (0 = Sunday)
+   * @returns {string} - Weekday name
+   */
+  static getWeekdayName(weekday) {
+    return WEEKDAYS[weekday];
+  }
+
+  /**
+   * Get weekday choices for slash command options
+   * @returns {Array} - Choices ({ name, value })
+   */
+  static getWeekdayChoices() {
+    return WEEKDAYS.map((name, value) => ({ name, value }));
+  }
+}
+
+module.exports = TimeUtils;